@@ -2,10 +2,15 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import useChatStore from './store/chatStore';
 import Hero from './components/Hero';
 import AuthCallback from './pages/AuthCallback';
+import BannedScreen from './pages/BannedScreen';
+import AdminConsole from './pages/AdminConsole';
 import SearchScreen from './components/SearchScreen';
 import ChatWindow from './components/ChatWindow';
+import LobbyWindow from './components/LobbyWindow';
+import ConnectionsScreen from './pages/ConnectionsScreen';
 import { useEffect } from 'react';
 import { getSocket } from './services/socket';
+import { downloadTranscript } from './services/chatApi';
 
 // This component protects routes that require a user to be logged in.
 const PrivateRoute = ({ children }) => {
@@ -14,8 +19,25 @@ const PrivateRoute = ({ children }) => {
   return token ? children : <Navigate to="/" />;
 };
 
+// Like PrivateRoute, but also requires the admin role reported on login.
+const AdminRoute = ({ children }) => {
+  const token = localStorage.getItem('authToken');
+  const user = useChatStore((state) => state.user);
+
+  if (!token) return <Navigate to="/" />;
+  // Wait for loginSuccess before deciding
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+        <p className="text-gray-600">Checking permissions...</p>
+      </div>
+    );
+  }
+  return user.role === 'admin' ? children : <Navigate to="/chat" />;
+};
+
 function App() {
-  const { isMatched, setConnected, setMatched, setSearching, addMessage, setPartnerConnected, setUser } = useChatStore();
+  const { isMatched, lobby, setConnected, setMatched, setSearching, addMessage, restoreMessages, setPartnerConnected, setPartnerReconnecting, setPartnerTyping, setReactions, markEdited, markUnsent, setMessageEditWindowMs, setTranscriptStatus, setReveal, setConnectionStatus, setConnectionInvite, updateConnection, dropConnection, setLobbies, enterLobby, exitLobby, addLobbyMessage, setLobbyCount, setUser, setNotice, setSharedTags } = useChatStore();
 
   useEffect(() => {
     const token = localStorage.getItem('authToken');
@@ -33,6 +55,28 @@ function App() {
         console.log('Login successful, user data received:', data.user);
         setUser(data.user);
         setConnected(true);
+        if (data.messageEditWindowMs) {
+          setMessageEditWindowMs(data.messageEditWindowMs);
+        }
+
+        // Lobby membership ends with the last socket, so join the open lobby again
+        const openLobby = useChatStore.getState().lobby;
+        if (openLobby) {
+          socket.emit('joinLobby', { lobbyId: openLobby.id }, (response) => {
+            if (response?.ok) {
+              enterLobby({ ...response.lobby, alias: response.alias }, response.messages);
+            } else {
+              exitLobby();
+              setNotice(`You were disconnected from the ${openLobby.name} lobby.`);
+            }
+          });
+        }
+
+        // The chat we were in ended while we were offline
+        const current = useChatStore.getState();
+        if (current.isMatched && data.roomId !== current.roomId) {
+          setPartnerConnected(false);
+        }
       };
 
       const handleConnect = () => {
@@ -44,10 +88,15 @@ function App() {
         setConnected(false);
       };
 
-      const handleMatched = ({ roomId }) => {
+      // connectionId is set for direct chats with a saved connection
+      const handleMatched = ({ roomId, sharedTags = [], connectionId = null }) => {
         console.log('Matched! Room:', roomId);
         setMatched(true, roomId);
+        setSharedTags(sharedTags);
         setSearching(false);
+        setConnectionStatus(connectionId ? 'saved' : null);
+        setConnectionInvite(null);
+        exitLobby();
       };
 
       const handleSearchStopped = () => {
@@ -57,8 +106,13 @@ function App() {
 
       const handleReceiveMessage = (message) => {
         console.log('Message received:', message.content);
+        setPartnerTyping(false);
         addMessage({
+          id: message.id,
+          type: message.type,
           text: message.content,
+          imageUrl: message.imageUrl,
+          replyTo: message.replyTo,
           sender: 'partner',
           timestamp: message.timestamp
         });
@@ -67,6 +121,105 @@ function App() {
       const handlePartnerDisconnected = () => {
         console.log('Partner disconnected');
         setPartnerConnected(false);
+        setPartnerReconnecting(false);
+        setPartnerTyping(false);
+      };
+
+      const handlePartnerReconnecting = () => {
+        console.log('Partner connection lost, waiting for them to return');
+        setPartnerReconnecting(true);
+        setPartnerTyping(false);
+      };
+
+      const handlePartnerReconnected = () => {
+        console.log('Partner reconnected');
+        setPartnerReconnecting(false);
+      };
+
+      const handleChatResumed = ({ roomId, sharedTags = [], partnerStatus, transcript = null, reveal, connection = null, messages }) => {
+        console.log('Chat resumed in room:', roomId);
+        setMatched(true, roomId);
+        setSharedTags(sharedTags);
+        setSearching(false);
+        setPartnerConnected(true);
+        setPartnerReconnecting(partnerStatus === 'reconnecting');
+        setTranscriptStatus(transcript);
+        setReveal(reveal?.status ?? null, reveal?.partner ?? null);
+        setConnectionStatus(connection);
+        restoreMessages(messages);
+      };
+
+      const handlePartnerTyping = () => setPartnerTyping(true);
+      const handlePartnerStoppedTyping = () => setPartnerTyping(false);
+
+      const handleReactionUpdated = ({ messageId, reactions }) => setReactions(messageId, reactions);
+
+      const handleMessageEdited = ({ messageId, content, editedAt }) => markEdited(messageId, content, editedAt);
+
+      const handleMessageUnsent = ({ messageId }) => markUnsent(messageId);
+
+      const handleTranscriptRequested = ({ expiresInMs }) => setTranscriptStatus('incoming', expiresInMs);
+      const handleTranscriptAgreed = () => setTranscriptStatus('agreed');
+      const handleTranscriptDeclined = () => setTranscriptStatus('declined');
+
+      const handlePartnerRevealRequested = () => setReveal('incoming');
+      const handlePartnerRevealWithdrawn = () => setReveal(null);
+      const handleIdentityRevealed = ({ partner }) => setReveal('revealed', partner);
+
+      const handlePartnerSaveRequested = () => setConnectionStatus('incoming');
+      const handleConnectionSaved = () => setConnectionStatus('saved');
+
+      const handleConnectionInvite = ({ connectionId, nickname, expiresInMs }) => {
+        setConnectionInvite({ connectionId, nickname }, expiresInMs);
+      };
+
+      const handleConnectionInviteDeclined = () => {
+        setNotice('Your invite to chat was declined.');
+      };
+
+      const handleConnectionPresence = ({ connectionId, nickname, online }) => {
+        updateConnection(connectionId, { online });
+        if (online) {
+          setNotice(`${nickname || 'A saved connection'} is online.`);
+        }
+      };
+
+      const handleConnectionRemoved = ({ connectionId }) => {
+        dropConnection(connectionId);
+        if (useChatStore.getState().connectionInvite?.connectionId === connectionId) {
+          setConnectionInvite(null);
+        }
+      };
+
+      const handleLobbyCounts = ({ lobbies }) => setLobbies(lobbies);
+
+      const handleLobbyMessage = (message) => {
+        if (message.lobbyId === useChatStore.getState().lobby?.id) {
+          addLobbyMessage(message);
+        }
+      };
+
+      // Join and leave notices appear as system lines in the lobby
+      const handleLobbyMember = (verb) => ({ lobbyId, alias, count }) => {
+        if (lobbyId !== useChatStore.getState().lobby?.id) return;
+        setLobbyCount(count);
+        addLobbyMessage({ id: `system-${Date.now()}-${alias}`, system: true, content: `${alias} ${verb}` });
+      };
+      const handleLobbyMemberJoined = handleLobbyMember('joined');
+      const handleLobbyMemberLeft = handleLobbyMember('left');
+
+      // Sent to both users when a chat they agreed to save ends
+      const handleTranscriptReady = (transcript) => {
+        downloadTranscript(transcript);
+        setNotice('Your chat transcript has been downloaded.');
+      };
+
+      const handleReportSubmitted = () => {
+        setNotice('Thanks for your report. Our moderators will review it.');
+      };
+
+      const handleReportError = ({ error }) => {
+        setNotice(error || 'Failed to submit report.');
       };
 
       // Only add listeners if not already added (socket might already have them from AuthCallback)
@@ -77,6 +230,33 @@ function App() {
       socket.off('searchStopped').on('searchStopped', handleSearchStopped);
       socket.off('receiveMessage').on('receiveMessage', handleReceiveMessage);
       socket.off('partnerDisconnected').on('partnerDisconnected', handlePartnerDisconnected);
+      socket.off('partnerReconnecting').on('partnerReconnecting', handlePartnerReconnecting);
+      socket.off('partnerReconnected').on('partnerReconnected', handlePartnerReconnected);
+      socket.off('chatResumed').on('chatResumed', handleChatResumed);
+      socket.off('partnerTyping').on('partnerTyping', handlePartnerTyping);
+      socket.off('partnerStoppedTyping').on('partnerStoppedTyping', handlePartnerStoppedTyping);
+      socket.off('reactionUpdated').on('reactionUpdated', handleReactionUpdated);
+      socket.off('messageEdited').on('messageEdited', handleMessageEdited);
+      socket.off('messageUnsent').on('messageUnsent', handleMessageUnsent);
+      socket.off('transcriptRequested').on('transcriptRequested', handleTranscriptRequested);
+      socket.off('transcriptAgreed').on('transcriptAgreed', handleTranscriptAgreed);
+      socket.off('transcriptDeclined').on('transcriptDeclined', handleTranscriptDeclined);
+      socket.off('transcriptReady').on('transcriptReady', handleTranscriptReady);
+      socket.off('partnerRevealRequested').on('partnerRevealRequested', handlePartnerRevealRequested);
+      socket.off('partnerRevealWithdrawn').on('partnerRevealWithdrawn', handlePartnerRevealWithdrawn);
+      socket.off('identityRevealed').on('identityRevealed', handleIdentityRevealed);
+      socket.off('partnerSaveRequested').on('partnerSaveRequested', handlePartnerSaveRequested);
+      socket.off('connectionSaved').on('connectionSaved', handleConnectionSaved);
+      socket.off('connectionInvite').on('connectionInvite', handleConnectionInvite);
+      socket.off('connectionInviteDeclined').on('connectionInviteDeclined', handleConnectionInviteDeclined);
+      socket.off('connectionPresence').on('connectionPresence', handleConnectionPresence);
+      socket.off('connectionRemoved').on('connectionRemoved', handleConnectionRemoved);
+      socket.off('lobbyCounts').on('lobbyCounts', handleLobbyCounts);
+      socket.off('lobbyMessage').on('lobbyMessage', handleLobbyMessage);
+      socket.off('lobbyMemberJoined').on('lobbyMemberJoined', handleLobbyMemberJoined);
+      socket.off('lobbyMemberLeft').on('lobbyMemberLeft', handleLobbyMemberLeft);
+      socket.off('reportSubmitted').on('reportSubmitted', handleReportSubmitted);
+      socket.off('reportError').on('reportError', handleReportError);
       
       // Only connect if not already connected
       if (!socket.connected) {
@@ -91,9 +271,36 @@ function App() {
         socket.off('searchStopped', handleSearchStopped);
         socket.off('receiveMessage', handleReceiveMessage);
         socket.off('partnerDisconnected', handlePartnerDisconnected);
+        socket.off('partnerReconnecting', handlePartnerReconnecting);
+        socket.off('partnerReconnected', handlePartnerReconnected);
+        socket.off('chatResumed', handleChatResumed);
+        socket.off('partnerTyping', handlePartnerTyping);
+        socket.off('partnerStoppedTyping', handlePartnerStoppedTyping);
+        socket.off('reactionUpdated', handleReactionUpdated);
+        socket.off('messageEdited', handleMessageEdited);
+        socket.off('messageUnsent', handleMessageUnsent);
+        socket.off('transcriptRequested', handleTranscriptRequested);
+        socket.off('transcriptAgreed', handleTranscriptAgreed);
+        socket.off('transcriptDeclined', handleTranscriptDeclined);
+        socket.off('transcriptReady', handleTranscriptReady);
+        socket.off('partnerRevealRequested', handlePartnerRevealRequested);
+        socket.off('partnerRevealWithdrawn', handlePartnerRevealWithdrawn);
+        socket.off('identityRevealed', handleIdentityRevealed);
+        socket.off('partnerSaveRequested', handlePartnerSaveRequested);
+        socket.off('connectionSaved', handleConnectionSaved);
+        socket.off('connectionInvite', handleConnectionInvite);
+        socket.off('connectionInviteDeclined', handleConnectionInviteDeclined);
+        socket.off('connectionPresence', handleConnectionPresence);
+        socket.off('connectionRemoved', handleConnectionRemoved);
+        socket.off('lobbyCounts', handleLobbyCounts);
+        socket.off('lobbyMessage', handleLobbyMessage);
+        socket.off('lobbyMemberJoined', handleLobbyMemberJoined);
+        socket.off('lobbyMemberLeft', handleLobbyMemberLeft);
+        socket.off('reportSubmitted', handleReportSubmitted);
+        socket.off('reportError', handleReportError);
       };
     }
-  }, [setConnected, setMatched, setSearching, addMessage, setPartnerConnected, setUser]);
+  }, [setConnected, setMatched, setSearching, addMessage, restoreMessages, setPartnerConnected, setPartnerReconnecting, setPartnerTyping, setReactions, markEdited, markUnsent, setMessageEditWindowMs, setTranscriptStatus, setReveal, setConnectionStatus, setConnectionInvite, updateConnection, dropConnection, setLobbies, enterLobby, exitLobby, addLobbyMessage, setLobbyCount, setUser, setNotice, setSharedTags]);
 
   return (
     <Router>
@@ -104,16 +311,39 @@ function App() {
         {/* Route to handle the magic link callback */}
         <Route path="/auth" element={<AuthCallback />} />
 
+        {/* Shown when the server rejects a banned or suspended account */}
+        <Route path="/banned" element={<BannedScreen />} />
+
         {/* Main application route, protected by authentication */}
         <Route
           path="/chat"
           element={
             <PrivateRoute>
-              {isMatched ? <ChatWindow /> : <SearchScreen />}
+              {isMatched ? <ChatWindow /> : lobby ? <LobbyWindow /> : <SearchScreen />}
             </PrivateRoute>
           }
         />
 
+        {/* Saved connections; a direct chat that starts here opens on /chat */}
+        <Route
+          path="/connections"
+          element={
+            <PrivateRoute>
+              {isMatched ? <Navigate to="/chat" /> : <ConnectionsScreen />}
+            </PrivateRoute>
+          }
+        />
+
+        {/* Moderator console, only for admin accounts */}
+        <Route
+          path="/admin"
+          element={
+            <AdminRoute>
+              <AdminConsole />
+            </AdminRoute>
+          }
+        />
+
         {/* Redirect any other path to the home page */}
         <Route path="*" element={<Navigate to="/" />} />
       </Routes>
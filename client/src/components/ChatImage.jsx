@@ -0,0 +1,30 @@
+import { useState } from 'react';
+
+// Image bubble content. The partner's images start blurred so nobody sees
+// something unwanted by surprise; tapping reveals them.
+const ChatImage = ({ src, blurred = true }) => {
+  const [revealed, setRevealed] = useState(!blurred);
+
+  return (
+    <button
+      type="button"
+      onClick={() => setRevealed((value) => !value)}
+      className="relative block overflow-hidden rounded-md"
+      title={revealed ? 'Tap to hide' : 'Tap to view'}
+    >
+      <img
+        src={src}
+        alt="Shared in chat"
+        loading="lazy"
+        className={`max-h-64 max-w-full transition ${revealed ? '' : 'blur-xl scale-110'}`}
+      />
+      {!revealed && (
+        <span className="absolute inset-0 flex items-center justify-center bg-black/30 text-sm font-semibold text-white">
+          Tap to view image
+        </span>
+      )}
+    </button>
+  );
+};
+
+export default ChatImage;
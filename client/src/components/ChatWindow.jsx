@@ -1,6 +1,11 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useEffectEvent, useRef } from 'react';
 import useChatStore from '../store/chatStore';
 import { getSocket } from '../services/socket';
+import { prepareImage, uploadImage, resolveImageUrl } from '../services/chatApi';
+import ReportModal from './ReportModal';
+import ChatImage from './ChatImage';
+import MessageReactions from './MessageReactions';
+import RevealPanel from './RevealPanel';
 
 // Sanitize text to prevent any potential XSS when displaying
 const sanitizeText = (text) => {
@@ -15,11 +20,91 @@ const sanitizeText = (text) => {
 // Maximum message length to prevent abuse
 const MAX_MESSAGE_LENGTH = 1000;
 
+// Re-send `typing` at most this often while the user keeps typing
+const TYPING_THROTTLE_MS = 3000;
+// Send `stopTyping` after this long without a keystroke
+const TYPING_IDLE_MS = 2000;
+
+// Mark a message as failed if the server doesn't ack it in time
+const SEND_TIMEOUT_MS = 10000;
+
+// Holding a bubble this long opens the reaction picker on touch screens
+const LONG_PRESS_MS = 500;
+
+// How long a message stays highlighted after jumping to it from a reply
+const HIGHLIGHT_MS = 1500;
+
+// How often to re-check which of our messages are still inside the edit window
+const EDIT_WINDOW_CHECK_MS = 15000;
+
+// One-line summary of a message for reply quotes
+const describeMessage = (msg) => {
+  if (msg.deleted) return 'Message removed';
+  return msg.type === 'image' ? '📷 Image' : msg.text;
+};
+
+// Human-readable reasons for sendMessage error codes
+const SEND_ERRORS = {
+  RATE_LIMITED: 'Slow down a little',
+  NO_ACTIVE_CHAT: 'Chat has ended',
+  EMPTY_MESSAGE: 'Message was empty',
+  INVALID_MESSAGE: 'Message was invalid',
+  INVALID_REPLY: 'Replied-to message is gone',
+  CONTENT_BLOCKED: 'Blocked by the chat filter',
+  UNAUTHORIZED: 'Not logged in',
+  SERVER_ERROR: 'Server error',
+  TIMEOUT: 'No response',
+  UPLOAD_FAILED: 'Upload failed',
+  EDIT_NOT_ALLOWED: 'This message can no longer be edited',
+  UNSEND_NOT_ALLOWED: 'This message can no longer be unsent',
+  NO_PENDING_REQUEST: 'That request is no longer open',
+  INVALID_CONTACT: 'Contact handle was invalid',
+  ALREADY_REVEALED: 'You have already swapped identities',
+  NOT_OPTED_IN: 'You have not offered to reveal'
+};
+
+// Banner text for each connection status
+const CONNECTION_MESSAGES = {
+  waiting: 'You offered to save Stranger as a connection. Waiting for them to do the same…',
+  saved: 'Saved as a connection. You can invite each other to chat again from Saved Connections.'
+};
+
+const createClientId = () => `local-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
 const ChatWindow = () => {
   const [inputMessage, setInputMessage] = useState('');
+  const [showReport, setShowReport] = useState(false);
+  const [composerError, setComposerError] = useState('');
+  // Id of the message whose reaction picker is open
+  const [pickerFor, setPickerFor] = useState(null);
+  const longPressRef = useRef(null);
+  // Id of the message we are replying to, and of the one just jumped to
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [highlightId, setHighlightId] = useState(null);
+  const highlightTimerRef = useRef(null);
+  // Id of our own message being edited in the composer
+  const [editingId, setEditingId] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  // Whether the identity reveal form is open
+  const [showReveal, setShowReveal] = useState(false);
+  const messagesContainerRef = useRef(null);
+  const inputRef = useRef(null);
   const messagesEndRef = useRef(null);
-  const { messages, addMessage, partnerConnected, resetChat } = useChatStore();
+  const fileInputRef = useRef(null);
+  const typingRef = useRef({ lastSentAt: 0, idleTimer: null });
+  const { messages, addMessage, updateMessage, setReactions, markEdited, markUnsent, messageEditWindowMs, transcriptStatus, setTranscriptStatus, revealStatus, partnerIdentity, setReveal, connectionStatus, setConnectionStatus, user, partnerConnected, partnerReconnecting, partnerTyping, sharedTags, interestTags, setSearching, resetChat, setNotice } = useChatStore();
   const socket = getSocket();
+  const messagesById = new Map(messages.filter((msg) => msg.id).map((msg) => [msg.id, msg]));
+  const replyingMessage = replyingTo ? messagesById.get(replyingTo) : null;
+
+  // Our own messages can be edited or unsent for a while after sending
+  const canModify = (msg) =>
+    msg.sender === 'me' && msg.id && !msg.deleted && now - msg.timestamp < messageEditWindowMs;
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), EDIT_WINDOW_CHECK_MS);
+    return () => clearInterval(timer);
+  }, []);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -29,14 +114,134 @@ const ChatWindow = () => {
     scrollToBottom();
   }, [messages]);
 
+  const stopTyping = () => {
+    const typing = typingRef.current;
+    clearTimeout(typing.idleTimer);
+    if (typing.lastSentAt && socket?.connected) {
+      socket.emit('stopTyping');
+    }
+    typing.lastSentAt = 0;
+  };
+
+  const notifyTyping = () => {
+    const typing = typingRef.current;
+    const now = Date.now();
+    if (now - typing.lastSentAt > TYPING_THROTTLE_MS && socket?.connected) {
+      socket.emit('typing');
+      typing.lastSentAt = now;
+    }
+    clearTimeout(typing.idleTimer);
+    typing.idleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
+
+  // Don't leave a pending stopTyping or long-press timer behind when the chat closes
+  useEffect(() => {
+    const typing = typingRef.current;
+    return () => {
+      clearTimeout(typing.idleTimer);
+      clearTimeout(longPressRef.current);
+      clearTimeout(highlightTimerRef.current);
+    };
+  }, []);
+
   const handleInputChange = (e) => {
     // Limit input length
     const value = e.target.value;
     if (value.length <= MAX_MESSAGE_LENGTH) {
       setInputMessage(value);
+      if (value.trim()) {
+        notifyTyping();
+      } else {
+        stopTyping();
+      }
     }
   };
 
+  // Emit a message and update its status from the server's ack
+  const emitMessage = (clientId, content, replyTo) => {
+    socket.timeout(SEND_TIMEOUT_MS).emit('sendMessage', { content, replyTo }, (err, response) => {
+      if (err) {
+        updateMessage(clientId, { status: 'failed', error: 'TIMEOUT' });
+      } else if (!response?.ok) {
+        updateMessage(clientId, { status: 'failed', error: response?.error, reason: response?.reason });
+      } else {
+        // The filter may have masked part of the text
+        updateMessage(clientId, {
+          status: 'sent',
+          id: response.id,
+          timestamp: response.timestamp,
+          text: response.content ?? content,
+          error: null
+        });
+      }
+    });
+  };
+
+  // Upload an image and update its status from the response
+  const sendImage = (clientId, blob) => {
+    uploadImage(blob)
+      .then((message) => {
+        updateMessage(clientId, { status: 'sent', id: message.id, timestamp: message.timestamp, error: null });
+      })
+      .catch((err) => {
+        updateMessage(clientId, { status: 'failed', error: 'UPLOAD_FAILED', reason: err.response?.data?.error });
+      });
+  };
+
+  const handleRetry = (e) => {
+    const msg = messages.find((m) => m.clientId === e.currentTarget.dataset.clientId);
+    if (!msg || !partnerConnected || !socket?.connected) {
+      return;
+    }
+    updateMessage(msg.clientId, { status: 'pending', error: null, reason: null });
+    if (msg.type === 'image') {
+      sendImage(msg.clientId, msg.blob);
+    } else {
+      emitMessage(msg.clientId, msg.text, msg.replyTo);
+    }
+  };
+
+  const handleImageSelected = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Allow picking the same file again
+    setComposerError('');
+    if (!file || !partnerConnected) {
+      return;
+    }
+
+    prepareImage(file)
+      .then((blob) => {
+        // Show our own copy right away; the partner gets it once uploaded
+        const clientId = createClientId();
+        addMessage({
+          clientId,
+          type: 'image',
+          imageUrl: URL.createObjectURL(blob),
+          blob,
+          sender: 'me',
+          timestamp: Date.now(),
+          status: 'pending'
+        });
+        sendImage(clientId, blob);
+      })
+      .catch(() => setComposerError("That file couldn't be read as an image."));
+  };
+
+  // Send the composer text as the new version of a message we're editing
+  const saveEdit = (messageId, content) => {
+    setComposerError('');
+    socket.timeout(SEND_TIMEOUT_MS).emit('editMessage', { messageId, content }, (err, response) => {
+      if (!err && response?.ok) {
+        markEdited(messageId, response.content, response.editedAt);
+      } else {
+        setComposerError(response?.reason ?? SEND_ERRORS[err ? 'TIMEOUT' : response?.error] ?? 'Edit failed');
+      }
+    });
+    stopTyping();
+    setEditingId(null);
+    setInputMessage('');
+  };
+
   const handleSendMessage = (e) => {
     e.preventDefault();
     const trimmedMessage = inputMessage.trim();
@@ -50,18 +255,205 @@ const ChatWindow = () => {
       return;
     }
 
-    // Add own message to the store
+    if (editingId) {
+      saveEdit(editingId, trimmedMessage);
+      return;
+    }
+
+    // Add own message to the store as pending until the server acks it
+    const clientId = createClientId();
+    const replyTo = replyingTo ?? undefined;
     addMessage({
+      clientId,
       text: trimmedMessage,
+      replyTo,
       sender: 'me',
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      status: 'pending'
     });
     
     // Send message to partner via socket with proper payload
-    socket.emit('sendMessage', { content: trimmedMessage });
+    stopTyping();
+    emitMessage(clientId, trimmedMessage, replyTo);
+    setInputMessage('');
+    setReplyingTo(null);
+  };
+
+  // Load one of our messages into the composer for editing
+  const handleStartEdit = (messageId) => {
+    const msg = messagesById.get(messageId);
+    if (!msg) {
+      return;
+    }
+    setPickerFor(null);
+    setReplyingTo(null);
+    setEditingId(messageId);
+    setInputMessage(msg.text);
+    inputRef.current?.focus();
+  };
+
+  const handleEditClick = (e) => {
+    handleStartEdit(e.currentTarget.dataset.messageId);
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
     setInputMessage('');
   };
 
+  const handleUnsend = (messageId) => {
+    setPickerFor(null);
+    if (!socket?.connected || !window.confirm('Unsend this message? It will be removed for both of you.')) {
+      return;
+    }
+    setComposerError('');
+    socket.timeout(SEND_TIMEOUT_MS).emit('unsendMessage', { messageId }, (err, response) => {
+      if (!err && response?.ok) {
+        markUnsent(messageId);
+      } else {
+        setComposerError(SEND_ERRORS[err ? 'TIMEOUT' : response?.error] ?? 'Unsend failed');
+      }
+    });
+    if (editingId === messageId) {
+      handleCancelEdit();
+    }
+  };
+
+  const handleUnsendClick = (e) => {
+    handleUnsend(e.currentTarget.dataset.messageId);
+  };
+
+  // Add or remove one of our reactions; the server replies with the new set
+  const handleReact = (messageId, emoji, remove) => {
+    setPickerFor(null);
+    if (!socket?.connected) {
+      return;
+    }
+    socket.timeout(SEND_TIMEOUT_MS).emit('react', { messageId, emoji, remove }, (err, response) => {
+      if (!err && response?.ok) {
+        setReactions(messageId, response.reactions);
+      }
+    });
+  };
+
+  const handleOpenPicker = (e) => {
+    setPickerFor(e.currentTarget.dataset.messageId);
+  };
+
+  const handleClosePicker = () => {
+    setPickerFor(null);
+  };
+
+  const handleReply = (messageId) => {
+    setPickerFor(null);
+    if (editingId) {
+      handleCancelEdit();
+    }
+    setReplyingTo(messageId);
+    inputRef.current?.focus();
+  };
+
+  const handleReplyClick = (e) => {
+    handleReply(e.currentTarget.dataset.messageId);
+  };
+
+  const handleCancelReply = () => {
+    setReplyingTo(null);
+  };
+
+  // Scroll to the message a reply quotes and highlight it briefly
+  const handleJumpToMessage = (e) => {
+    const { replyTo } = e.currentTarget.dataset;
+    const target = messagesContainerRef.current?.querySelector(`[data-message-id="${replyTo}"]`);
+    if (!target) {
+      return;
+    }
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setHighlightId(replyTo);
+    clearTimeout(highlightTimerRef.current);
+    highlightTimerRef.current = setTimeout(() => setHighlightId(null), HIGHLIGHT_MS);
+  };
+
+  const handlePressStart = (e) => {
+    const { messageId } = e.currentTarget.dataset;
+    clearTimeout(longPressRef.current);
+    longPressRef.current = setTimeout(() => setPickerFor(messageId), LONG_PRESS_MS);
+  };
+
+  const handlePressEnd = () => {
+    clearTimeout(longPressRef.current);
+  };
+
+  // Ask the partner to agree to saving this chat as a transcript
+  const handleRequestTranscript = () => {
+    if (!partnerConnected || !socket?.connected) {
+      return;
+    }
+    socket.emit('requestTranscript', (response) => {
+      if (response?.ok) {
+        setTranscriptStatus(response.status, response.expiresInMs);
+      } else {
+        setComposerError(SEND_ERRORS[response?.error] || 'Could not ask to save the chat');
+      }
+    });
+  };
+
+  const answerTranscript = (accept) => {
+    if (!socket?.connected) {
+      return;
+    }
+    socket.emit('respondTranscript', { accept }, (response) => {
+      if (response?.ok) {
+        setTranscriptStatus(response.status);
+      } else {
+        setTranscriptStatus(null);
+        setComposerError(SEND_ERRORS[response?.error] || 'Could not answer the request');
+      }
+    });
+  };
+
+  // Opt in to swapping identities; nothing is shown until both sides opt in
+  const handleReveal = (contact) => {
+    if (!partnerConnected || !socket?.connected) {
+      return;
+    }
+    socket.emit('revealIdentity', { contact }, (response) => {
+      if (response?.ok) {
+        setReveal(response.status, response.partner ?? null);
+        setShowReveal(false);
+      } else {
+        setComposerError(SEND_ERRORS[response?.error] || 'Could not reveal your identity');
+      }
+    });
+  };
+
+  const handleWithdrawReveal = () => {
+    if (!socket?.connected) {
+      return;
+    }
+    socket.emit('withdrawReveal', (response) => {
+      if (response?.ok) {
+        setReveal(null);
+      } else {
+        setComposerError(SEND_ERRORS[response?.error] || 'Could not withdraw');
+      }
+    });
+  };
+
+  // Offer to save the partner as a connection; it's saved once both offer
+  const handleSaveConnection = () => {
+    if (!partnerConnected || !socket?.connected) {
+      return;
+    }
+    socket.emit('saveConnection', (response) => {
+      if (response?.ok) {
+        setConnectionStatus(response.status);
+      } else {
+        setComposerError(SEND_ERRORS[response?.error] || 'Could not save the connection');
+      }
+    });
+  };
+
   const handleEndChat = () => {
     if (socket?.connected) {
       socket.emit('endChat');
@@ -69,6 +461,50 @@ const ChatWindow = () => {
     resetChat();
   };
 
+  // End this chat and go straight back into the queue
+  const handleNext = () => {
+    if (!socket?.connected) {
+      return;
+    }
+    socket.emit('next', { tags: interestTags });
+    resetChat();
+    setSearching(true);
+  };
+
+  // Alt+N skips to the next stranger from anywhere on the page
+  const onShortcut = useEffectEvent((e) => {
+    if (e.altKey && e.code === 'KeyN') {
+      e.preventDefault();
+      handleNext();
+    }
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => onShortcut(e);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const handleBlock = () => {
+    if (!window.confirm("Block this stranger? The chat will end and you won't be matched with them again.")) {
+      return;
+    }
+    if (socket?.connected) {
+      socket.emit('blockPartner');
+    }
+    resetChat();
+    setNotice("Stranger blocked. You won't be matched with them again.");
+  };
+
+  const handleReport = ({ reason, note }) => {
+    if (socket?.connected) {
+      // The server ends the chat for both sides once the report is filed
+      socket.emit('reportPartner', { reason, note });
+    }
+    setShowReport(false);
+    resetChat();
+  };
+
   // Safe render function for message text
   const renderMessageText = (text) => {
     // React automatically escapes text content, but we add an extra layer
@@ -83,19 +519,78 @@ const ChatWindow = () => {
           <div>
             <h2 className="text-xl font-bold">USChika Chat</h2>
             <p className="text-sm opacity-90">
-              {partnerConnected ? 'Connected to stranger' : 'Partner disconnected'}
+              {!partnerConnected
+                ? 'Partner disconnected'
+                : partnerReconnecting
+                  ? 'Stranger is reconnecting…'
+                  : partnerTyping
+                    ? 'Stranger is typing…'
+                    : `Connected to ${partnerIdentity?.displayName ?? 'stranger'}`}
             </p>
           </div>
-          <button
-            onClick={handleEndChat}
-            className="hero-button"
-          >
-            End Chat
-          </button>
+          <div className="flex space-x-2">
+            <button
+              onClick={handleSaveConnection}
+              disabled={!partnerConnected || connectionStatus === 'waiting' || connectionStatus === 'saved'}
+              title="Save this stranger to chat again later"
+              className="hero-button"
+            >
+              Connect
+            </button>
+            <button
+              onClick={() => setShowReveal(true)}
+              disabled={!partnerConnected || revealStatus === 'waiting' || revealStatus === 'revealed'}
+              title="Offer to swap names and contacts"
+              className="hero-button"
+            >
+              Reveal
+            </button>
+            <button
+              onClick={handleRequestTranscript}
+              disabled={!partnerConnected || transcriptStatus === 'requested' || transcriptStatus === 'agreed'}
+              title="Ask to save this chat as a transcript"
+              className="hero-button"
+            >
+              Save Chat
+            </button>
+            <button
+              onClick={handleBlock}
+              className="hero-button"
+            >
+              Block
+            </button>
+            <button
+              onClick={() => setShowReport(true)}
+              className="hero-button"
+            >
+              Report
+            </button>
+            <button
+              onClick={handleEndChat}
+              className="hero-button"
+            >
+              End Chat
+            </button>
+            <button
+              onClick={handleNext}
+              title="Next stranger (Alt+N)"
+              className="hero-button"
+            >
+              Next
+            </button>
+          </div>
         </div>
 
+        {sharedTags.length > 0 && (
+          <div className="bg-purple-50 border-b border-purple-100 px-4 py-2">
+            <p className="text-purple-800 text-sm text-center">
+              You both like: {sharedTags.join(', ')}
+            </p>
+          </div>
+        )}
+
         {/* Messages Container */}
-        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        <div ref={messagesContainerRef} className="flex-1 overflow-y-auto p-4 space-y-3">
           {messages.length === 0 ? (
             <div className="flex items-center justify-center h-full">
               <p className="text-gray-400 text-center">
@@ -103,29 +598,178 @@ const ChatWindow = () => {
               </p>
             </div>
           ) : (
-            messages.map((msg, index) => (
+            messages.map((msg) => (
               <div
-                key={`${msg.timestamp}-${index}`}
-                className={`flex ${msg.sender === 'me' ? 'justify-end' : 'justify-start'}`}
+                key={msg.clientId ?? msg.id}
+                className={`group flex items-center gap-1 ${msg.sender === 'me' ? 'flex-row-reverse' : ''}`}
               >
-                <div
-                  className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
-                    msg.sender === 'me'
-                      ? 'bg-gradient-to-r from-purple-600 to-pink-600 text-white'
-                      : 'bg-gray-200 text-gray-800'
-                  }`}
-                >
-                  {renderMessageText(msg.text)}
-                  <p className={`text-xs mt-1 ${msg.sender === 'me' ? 'text-white/70' : 'text-gray-500'}`}>
-                    {new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                  </p>
+                <div className={`flex flex-col ${msg.sender === 'me' ? 'items-end' : 'items-start'}`}>
+                  <div
+                    data-message-id={msg.id}
+                    onTouchStart={msg.id ? handlePressStart : undefined}
+                    onTouchEnd={handlePressEnd}
+                    onTouchMove={handlePressEnd}
+                    className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg transition ${
+                      msg.sender === 'me'
+                        ? 'bg-gradient-to-r from-purple-600 to-pink-600 text-white'
+                        : 'bg-gray-200 text-gray-800'
+                    } ${highlightId === msg.id ? 'ring-4 ring-yellow-300' : ''}`}
+                  >
+                    {msg.deleted ? (
+                      <p className="italic opacity-70">Message removed</p>
+                    ) : (
+                      <>
+                        {msg.replyTo && (
+                          <button
+                            type="button"
+                            data-reply-to={msg.replyTo}
+                            onClick={handleJumpToMessage}
+                            className="mb-1 block w-full truncate border-l-4 border-current pl-2 text-left text-xs opacity-80"
+                          >
+                            {messagesById.has(msg.replyTo)
+                              ? `${messagesById.get(msg.replyTo).sender === 'me' ? 'You' : 'Stranger'}: ${describeMessage(messagesById.get(msg.replyTo))}`
+                              : 'Original message unavailable'}
+                          </button>
+                        )}
+                        {msg.type === 'image'
+                          ? <ChatImage src={resolveImageUrl(msg.imageUrl)} blurred={msg.sender !== 'me'} />
+                          : renderMessageText(msg.text)}
+                      </>
+                    )}
+                    <p className={`text-xs mt-1 ${msg.sender === 'me' ? 'text-white/70' : 'text-gray-500'}`}>
+                      {new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                      {msg.status === 'pending' && ' · Sending…'}
+                      {msg.editedAt && !msg.deleted && ' · edited'}
+                      {msg.status === 'sent' && ' · ✓'}
+                    </p>
+                    {msg.status === 'failed' && (
+                      <p className="text-xs mt-1 text-white">
+                        Not sent ({msg.reason ?? SEND_ERRORS[msg.error] ?? 'Unknown error'})
+                        {/* Resending blocked text would only be blocked again */}
+                        {msg.error !== 'CONTENT_BLOCKED' && (
+                          <>
+                            {' '}·{' '}
+                            <button type="button" data-client-id={msg.clientId} onClick={handleRetry} className="underline">
+                              Retry
+                            </button>
+                          </>
+                        )}
+                      </p>
+                    )}
+                  </div>
+                  {msg.id && !msg.deleted && (
+                    <MessageReactions
+                      messageId={msg.id}
+                      reactions={msg.reactions}
+                      pickerOpen={pickerFor === msg.id}
+                      onReact={handleReact}
+                      onReply={handleReply}
+                      onEdit={canModify(msg) && msg.type !== 'image' ? handleStartEdit : undefined}
+                      onUnsend={canModify(msg) ? handleUnsend : undefined}
+                      onClosePicker={handleClosePicker}
+                    />
+                  )}
                 </div>
+                {msg.id && !msg.deleted && (
+                  <div className="flex opacity-0 group-hover:opacity-100 focus-within:opacity-100 text-gray-400">
+                    <button
+                      type="button"
+                      data-message-id={msg.id}
+                      onClick={handleOpenPicker}
+                      className="px-1 hover:text-gray-600"
+                      title="React"
+                    >
+                      ☺
+                    </button>
+                    <button
+                      type="button"
+                      data-message-id={msg.id}
+                      onClick={handleReplyClick}
+                      className="px-1 hover:text-gray-600"
+                      title="Reply"
+                    >
+                      ↩
+                    </button>
+                    {canModify(msg) && msg.type !== 'image' && (
+                      <button
+                        type="button"
+                        data-message-id={msg.id}
+                        onClick={handleEditClick}
+                        className="px-1 hover:text-gray-600"
+                        title="Edit"
+                      >
+                        ✎
+                      </button>
+                    )}
+                    {canModify(msg) && (
+                      <button
+                        type="button"
+                        data-message-id={msg.id}
+                        onClick={handleUnsendClick}
+                        className="px-1 hover:text-gray-600"
+                        title="Unsend"
+                      >
+                        ⌫
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
             ))
           )}
           <div ref={messagesEndRef} />
         </div>
 
+        {/* Identity reveal */}
+        <RevealPanel
+          status={revealStatus}
+          partner={partnerIdentity}
+          displayName={user?.displayName}
+          formOpen={showReveal && partnerConnected}
+          onOpen={() => setShowReveal(true)}
+          onReveal={handleReveal}
+          onWithdraw={handleWithdrawReveal}
+          onClose={() => setShowReveal(false)}
+        />
+
+        {/* Saving as a connection */}
+        {connectionStatus && (
+          <div className="bg-blue-50 border-t border-blue-100 px-4 py-2 flex items-center justify-center gap-3 text-sm text-blue-900">
+            {connectionStatus === 'incoming' ? (
+              <>
+                <span>Stranger wants to save you as a connection. You both stay anonymous.</span>
+                <button type="button" onClick={handleSaveConnection} className="font-semibold text-blue-700 hover:underline">
+                  Save too
+                </button>
+              </>
+            ) : (
+              <span>{CONNECTION_MESSAGES[connectionStatus]}</span>
+            )}
+          </div>
+        )}
+
+        {/* Transcript consent */}
+        {transcriptStatus && (
+          <div className="bg-purple-50 border-t border-purple-100 px-4 py-2 flex items-center justify-center gap-3 text-sm text-purple-900">
+            {transcriptStatus === 'requested' && <span>Waiting for Stranger to agree to save this chat…</span>}
+            {transcriptStatus === 'declined' && <span>Stranger declined to save this chat.</span>}
+            {transcriptStatus === 'agreed' && (
+              <span>You both agreed to save this chat. The transcript downloads when the chat ends.</span>
+            )}
+            {transcriptStatus === 'incoming' && (
+              <>
+                <span>Stranger wants to save this chat. You would both get a transcript when it ends.</span>
+                <button type="button" onClick={() => answerTranscript(true)} className="font-semibold text-purple-700 hover:underline">
+                  Accept
+                </button>
+                <button type="button" onClick={() => answerTranscript(false)} className="text-gray-500 hover:underline">
+                  Decline
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
         {/* Disconnected Warning */}
         {!partnerConnected && (
           <div className="bg-yellow-100 border-t border-yellow-200 px-4 py-2">
@@ -137,8 +781,43 @@ const ChatWindow = () => {
 
         {/* Input Area */}
         <form onSubmit={handleSendMessage} className="border-t border-gray-200 p-4">
+          {editingId && (
+            <div className="mb-2 flex items-center justify-between rounded-md border-l-4 border-pink-500 bg-pink-50 px-3 py-1 text-sm text-gray-700">
+              <span>Editing message</span>
+              <button type="button" onClick={handleCancelEdit} className="ml-2 text-gray-400 hover:text-gray-600" title="Cancel edit">
+                ✕
+              </button>
+            </div>
+          )}
+          {replyingMessage && (
+            <div className="mb-2 flex items-center justify-between rounded-md border-l-4 border-purple-500 bg-purple-50 px-3 py-1 text-sm text-gray-700">
+              <span className="truncate">
+                Replying to {replyingMessage.sender === 'me' ? 'yourself' : 'Stranger'}: {describeMessage(replyingMessage)}
+              </span>
+              <button type="button" onClick={handleCancelReply} className="ml-2 text-gray-400 hover:text-gray-600" title="Cancel reply">
+                ✕
+              </button>
+            </div>
+          )}
           <div className="flex space-x-2 flex justify-center">
             <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              onChange={handleImageSelected}
+              className="hidden"
+            />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={!partnerConnected || !!editingId}
+              title="Send an image"
+              className="hero-button"
+            >
+              Image
+            </button>
+            <input
+              ref={inputRef}
               type="text"
               value={inputMessage}
               onChange={handleInputChange}
@@ -152,14 +831,20 @@ const ChatWindow = () => {
               disabled={!inputMessage.trim() || !partnerConnected}
               className="hero-button"
             >
-              Send
+              {editingId ? 'Save' : 'Send'}
             </button>
           </div>
-          <p className="text-xs text-gray-400 mt-1 text-right">
-            {inputMessage.length}/{MAX_MESSAGE_LENGTH}
-          </p>
+          <div className="flex justify-between text-xs mt-1">
+            <span className="text-red-600">{composerError}</span>
+            <span className="text-gray-400">{inputMessage.length}/{MAX_MESSAGE_LENGTH}</span>
+          </div>
         </form>
       </div>
+      <ReportModal
+        isOpen={showReport}
+        onClose={() => setShowReport(false)}
+        onSubmit={handleReport}
+      />
     </div>
   );
 };
@@ -0,0 +1,51 @@
+import useChatStore from '../store/chatStore';
+import { getSocket } from '../services/socket';
+
+// Human-readable reasons for answerInvite error codes
+const INVITE_ERRORS = {
+  NO_PENDING_INVITE: 'That invite is no longer open.',
+  ALREADY_IN_CHAT: 'Leave your current chat first.',
+  PARTNER_BUSY: 'They have already started another chat.',
+  PARTNER_OFFLINE: 'They are no longer online.',
+  CONNECTION_NOT_FOUND: 'That connection was removed.'
+};
+
+// Prompt for an open invite to a direct chat from a saved connection.
+// Accepting starts the chat; `matched` then switches to the chat window.
+const ConnectionInvite = () => {
+  const { connectionInvite, setConnectionInvite, setNotice } = useChatStore();
+  const socket = getSocket();
+
+  if (!connectionInvite) return null;
+
+  const answer = (accept) => {
+    const { connectionId } = connectionInvite;
+    setConnectionInvite(null);
+    if (!socket?.connected) {
+      return;
+    }
+    socket.emit('answerInvite', { connectionId, accept }, (response) => {
+      if (!response?.ok) {
+        setNotice(INVITE_ERRORS[response?.error] || 'Could not answer the invite.');
+      }
+    });
+  };
+
+  return (
+    <div className="rounded-md bg-purple-50 px-3 py-2 mb-6 text-sm text-purple-900">
+      <p className="mb-2">
+        <strong>{connectionInvite.nickname || 'A saved connection'}</strong> wants to chat again.
+      </p>
+      <div className="flex justify-center space-x-4">
+        <button type="button" onClick={() => answer(true)} className="font-semibold text-purple-700 hover:underline">
+          Accept
+        </button>
+        <button type="button" onClick={() => answer(false)} className="text-gray-500 hover:underline">
+          Decline
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConnectionInvite;
@@ -3,6 +3,8 @@ import AnimatedContent from './AnimatedContent';
 import Squares from './Squares';
 import PolicyModal from './PolicyModal';
 import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { storeBanInfo, storeSession } from '../services/socket';
 import logo from '../assets/logo.png';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
@@ -12,6 +14,11 @@ function Hero() {
   const [message, setMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [showPolicy, setShowPolicy] = useState(false);
+  // Address the last magic link went to; shows the code entry step
+  const [pendingEmail, setPendingEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [codeError, setCodeError] = useState('');
+  const navigate = useNavigate();
 
   const validateEmail = (email) => {
     // Basic email format validation + domain check
@@ -34,14 +41,61 @@ function Hero() {
     try {
       const response = await axios.post(`${API_URL}/auth/magic-link`, { email });
       setMessage(response.data.message || 'Magic link sent successfully!');
+      setPendingEmail(email.toLowerCase().trim());
+      setCode('');
+      setCodeError('');
       setEmail(''); // Clear email after successful submission
     } catch (error) {
+      if (error.response?.data?.banned) {
+        storeBanInfo(error.response.data);
+        navigate('/banned');
+        return;
+      }
       setMessage(error.response?.data?.error || 'Failed to send magic link.');
     } finally {
       setIsLoading(false);
     }
   };
 
+  // Finish logging in on this device with the code from the email
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+
+    if (!/^\d{6}$/.test(code)) {
+      setCodeError('Enter the 6-digit code from your email.');
+      return;
+    }
+
+    setIsLoading(true);
+    setCodeError('');
+
+    try {
+      const response = await axios.post(`${API_URL}/auth/verify-code`, { email: pendingEmail, code });
+      storeSession(response.data);
+      // Full load so the app connects the socket with the new session
+      window.location.assign('/chat');
+    } catch (error) {
+      if (error.response?.data?.banned) {
+        storeBanInfo(error.response.data);
+        navigate('/banned');
+        return;
+      }
+      const { error: reason, attemptsLeft } = error.response?.data ?? {};
+      setCodeError(
+        attemptsLeft !== undefined
+          ? `${reason} ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`
+          : reason || 'Failed to verify code.'
+      );
+      setIsLoading(false);
+    }
+  };
+
+  const handleChangeEmail = () => {
+    setPendingEmail('');
+    setMessage('');
+    setCodeError('');
+  };
+
   return (
     <div className="hero">
       {/* Squares as the background */}
@@ -77,26 +131,56 @@ function Hero() {
           <p className="hero-description">
             Anonymous one-on-one chat with fellow students
           </p>
-          <form className="hero-form" onSubmit={handleSubmit}>
-            <input
-              type="email"
-              className="hero-input"
-              placeholder="Enter your USC Email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              required
-              autoComplete="email"
-              disabled={isLoading}
-            />
-            <button type="submit" className="hero-button" disabled={isLoading}>
-              {isLoading ? 'Sending...' : 'Send Magic Link'}
-            </button>
-          </form>
+          {!pendingEmail ? (
+            <form className="hero-form" onSubmit={handleSubmit}>
+              <input
+                type="email"
+                className="hero-input"
+                placeholder="Enter your USC Email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+                autoComplete="email"
+                disabled={isLoading}
+              />
+              <button type="submit" className="hero-button" disabled={isLoading}>
+                {isLoading ? 'Sending...' : 'Send Magic Link'}
+              </button>
+            </form>
+          ) : (
+            <form className="hero-form" onSubmit={handleVerifyCode}>
+              <input
+                type="text"
+                className="hero-input"
+                placeholder="6-digit code"
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                disabled={isLoading}
+              />
+              <button type="submit" className="hero-button" disabled={isLoading || code.length !== 6}>
+                {isLoading ? 'Verifying...' : 'Log In with Code'}
+              </button>
+            </form>
+          )}
           {message && (
             <p className={`hero-message ${message.includes('Failed') || message.includes('Please enter') ? 'error' : ''}`}>
               {message}
             </p>
           )}
+          {pendingEmail && (
+            <>
+              <p className="hero-message">
+                Opened the email on another device? Enter the code sent to {pendingEmail} to log in here.
+              </p>
+              {codeError && <p className="hero-message error">{codeError}</p>}
+              <button type="button" onClick={handleChangeEmail} className="hero-message underline">
+                Use a different email
+              </button>
+            </>
+          )}
           <p className="hero-note">
             <strong>Remember:</strong> Be respectful and kind. All chats are
             anonymous but follow school guidelines.
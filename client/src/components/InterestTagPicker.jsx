@@ -0,0 +1,78 @@
+import { useState } from 'react';
+
+// Must match MAX_INTEREST_TAGS and MAX_TAG_LENGTH on the server
+const MAX_INTEREST_TAGS = 5;
+const MAX_TAG_LENGTH = 30;
+
+const SUGGESTED_TAGS = ['music', 'gaming', 'movies', 'sports', 'anime', 'engineering', 'computer science', 'business', 'orgs', 'study buddy'];
+
+const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+
+const InterestTagPicker = ({ tags, onChange, disabled }) => {
+  const [draft, setDraft] = useState('');
+  const isFull = tags.length >= MAX_INTEREST_TAGS;
+
+  const addTag = (tag) => {
+    const normalized = normalizeTag(tag);
+    if (!normalized || isFull || tags.includes(normalized)) return;
+    onChange([...tags, normalized]);
+  };
+
+  const removeTag = (tag) => onChange(tags.filter((t) => t !== tag));
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(draft);
+      setDraft('');
+    }
+  };
+
+  return (
+    <div className="mb-6 text-left">
+      <p className="text-sm text-gray-600 mb-2">
+        Interests (optional, up to {MAX_INTEREST_TAGS}) — we'll try to match you with someone who shares them
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-2">
+        {tags.map((tag) => (
+          <button
+            key={tag}
+            type="button"
+            onClick={() => removeTag(tag)}
+            disabled={disabled}
+            className="px-2 py-1 rounded-full bg-purple-600 text-white text-xs"
+          >
+            {tag} ×
+          </button>
+        ))}
+      </div>
+
+      <input
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value.slice(0, MAX_TAG_LENGTH))}
+        onKeyDown={handleKeyDown}
+        placeholder={isFull ? 'Tag limit reached' : 'Add an interest and press Enter'}
+        disabled={disabled || isFull}
+        className="hero-input w-full text-sm"
+      />
+
+      <div className="flex flex-wrap gap-2 mt-2">
+        {SUGGESTED_TAGS.filter((tag) => !tags.includes(tag)).map((tag) => (
+          <button
+            key={tag}
+            type="button"
+            onClick={() => addTag(tag)}
+            disabled={disabled || isFull}
+            className="px-2 py-1 rounded-full bg-gray-200 text-gray-700 text-xs"
+          >
+            + {tag}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default InterestTagPicker;
@@ -0,0 +1,76 @@
+import { useEffect, useState } from 'react';
+import useChatStore from '../store/chatStore';
+import { getSocket } from '../services/socket';
+
+// Human-readable reasons for joinLobby error codes
+const LOBBY_ERRORS = {
+  RATE_LIMITED: 'Slow down a little.',
+  INVALID_LOBBY: 'That lobby does not exist.',
+  LOBBY_FULL: 'That lobby is full right now.',
+  ALREADY_IN_CHAT: 'Leave your current chat first.',
+  UNAUTHORIZED: 'Not logged in.',
+  SERVER_ERROR: 'Server error.'
+};
+
+// Topic lobbies with their member counts. Counts stay current through the
+// lobbyCounts event handled in App.
+const LobbyBrowser = () => {
+  const { lobbies, setLobbies, enterLobby } = useChatStore();
+  const [error, setError] = useState('');
+  const socket = getSocket();
+
+  useEffect(() => {
+    socket?.emit('listLobbies', (response) => {
+      if (response?.ok) {
+        setLobbies(response.lobbies);
+      }
+    });
+  }, [socket, setLobbies]);
+
+  const handleJoin = (e) => {
+    const { lobbyId } = e.currentTarget.dataset;
+    if (!socket?.connected) {
+      return;
+    }
+    setError('');
+    socket.emit('joinLobby', { lobbyId }, (response) => {
+      if (response?.ok) {
+        enterLobby({ ...response.lobby, alias: response.alias }, response.messages);
+      } else {
+        setError(LOBBY_ERRORS[response?.error] || 'Could not join the lobby.');
+      }
+    });
+  };
+
+  return (
+    <div className="mt-6 text-left">
+      <p className="text-sm font-semibold text-gray-700 mb-2">Topic Lobbies</p>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {lobbies.length === 0 ? (
+        <p className="text-sm text-gray-500">Loading lobbies...</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 rounded-md border border-gray-200">
+          {lobbies.map((lobby) => (
+            <li key={lobby.id} className="flex items-center justify-between px-3 py-2">
+              <div>
+                <p className="font-medium text-gray-800">{lobby.name}</p>
+                <p className="text-xs text-gray-500">{lobby.count}/{lobby.capacity} members</p>
+              </div>
+              <button
+                type="button"
+                data-lobby-id={lobby.id}
+                onClick={handleJoin}
+                disabled={lobby.count >= lobby.capacity}
+                className="text-sm font-semibold text-purple-700 hover:underline disabled:text-gray-400 disabled:no-underline"
+              >
+                {lobby.count >= lobby.capacity ? 'Full' : 'Join'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LobbyBrowser;
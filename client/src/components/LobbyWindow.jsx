@@ -0,0 +1,145 @@
+import { useState, useEffect, useRef } from 'react';
+import useChatStore from '../store/chatStore';
+import { getSocket } from '../services/socket';
+
+// Must match MAX_MESSAGE_LENGTH on the server
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Human-readable reasons for sendLobbyMessage error codes
+const SEND_ERRORS = {
+  RATE_LIMITED: 'Slow down a little',
+  NOT_IN_LOBBY: 'You are no longer in this lobby',
+  EMPTY_MESSAGE: 'Message was empty',
+  INVALID_MESSAGE: 'Message was invalid',
+  CONTENT_BLOCKED: 'Blocked by the chat filter',
+  UNAUTHORIZED: 'Not logged in',
+  SERVER_ERROR: 'Server error'
+};
+
+// Group chat in a topic lobby. Members only see each other's lobby aliases.
+const LobbyWindow = () => {
+  const [inputMessage, setInputMessage] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const messagesEndRef = useRef(null);
+  const { lobby, lobbyMessages, addLobbyMessage, exitLobby } = useChatStore();
+  const socket = getSocket();
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [lobbyMessages]);
+
+  const handleSendMessage = (e) => {
+    e.preventDefault();
+    const content = inputMessage.trim();
+    if (!content || sending || !socket?.connected) {
+      return;
+    }
+
+    setSending(true);
+    setError('');
+    socket.emit('sendLobbyMessage', { content }, (response) => {
+      setSending(false);
+      if (response?.ok) {
+        addLobbyMessage({ id: response.id, lobbyId: response.lobbyId, alias: response.alias, content: response.content, timestamp: response.timestamp });
+        setInputMessage('');
+      } else {
+        setError(response?.reason || SEND_ERRORS[response?.error] || 'Message not sent');
+      }
+    });
+  };
+
+  const handleLeave = () => {
+    if (socket?.connected) {
+      socket.emit('leaveLobby');
+    }
+    exitLobby();
+  };
+
+  return (
+    <div className="h-screen bg-gray-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-2xl w-full max-w-4xl h-full flex flex-col">
+        {/* Header */}
+        <div className="bg-gradient-to-r from-purple-600 to-pink-600 text-white p-4 rounded-t-lg flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold">{lobby.name} Lobby</h2>
+            <p className="text-sm opacity-90">
+              {lobby.count}/{lobby.capacity} members · You are {lobby.alias}
+            </p>
+          </div>
+          <button onClick={handleLeave} className="hero-button">
+            Leave
+          </button>
+        </div>
+
+        {/* Messages Container */}
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          {lobbyMessages.length === 0 ? (
+            <div className="flex items-center justify-center h-full">
+              <p className="text-gray-400 text-center">
+                No messages yet. Start the conversation! 👋
+              </p>
+            </div>
+          ) : (
+            lobbyMessages.map((msg) => {
+              if (msg.system) {
+                return (
+                  <p key={msg.id} className="text-center text-xs text-gray-400">
+                    {msg.content}
+                  </p>
+                );
+              }
+
+              const mine = msg.alias === lobby.alias;
+              return (
+                <div key={msg.id} className={`flex flex-col ${mine ? 'items-end' : 'items-start'}`}>
+                  {!mine && <p className="text-xs text-gray-500 mb-1">{msg.alias}</p>}
+                  <div
+                    className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
+                      mine
+                        ? 'bg-gradient-to-r from-purple-600 to-pink-600 text-white'
+                        : 'bg-gray-200 text-gray-800'
+                    }`}
+                  >
+                    <p className="break-words">{msg.content}</p>
+                    <p className={`text-xs mt-1 ${mine ? 'text-white/70' : 'text-gray-500'}`}>
+                      {new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </p>
+                  </div>
+                </div>
+              );
+            })
+          )}
+          <div ref={messagesEndRef} />
+        </div>
+
+        {/* Input Area */}
+        <form onSubmit={handleSendMessage} className="border-t border-gray-200 p-4">
+          <div className="flex space-x-2 flex justify-center">
+            <input
+              type="text"
+              value={inputMessage}
+              onChange={(e) => setInputMessage(e.target.value)}
+              placeholder={`Message ${lobby.name}...`}
+              maxLength={MAX_MESSAGE_LENGTH}
+              className="hero-input flex-1"
+            />
+            <button
+              type="submit"
+              disabled={!inputMessage.trim() || sending}
+              className="hero-button"
+            >
+              Send
+            </button>
+          </div>
+          <div className="flex justify-between text-xs mt-1">
+            <span className="text-red-600">{error}</span>
+            <span className="text-gray-400">{inputMessage.length}/{MAX_MESSAGE_LENGTH}</span>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LobbyWindow;
@@ -0,0 +1,60 @@
+// Must match REACTION_EMOJIS on the server
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Reaction chips under a message bubble, plus the emoji picker when it is
+// open. Tapping a chip toggles our own reaction. The picker also offers
+// Reply, and Edit/Unsend when those handlers are given, since touch screens
+// have no hover buttons.
+const MessageReactions = ({ messageId, reactions = [], pickerOpen, onReact, onReply, onEdit, onUnsend, onClosePicker }) => {
+  const isMine = (emoji) => reactions.some((r) => r.emoji === emoji && r.mine);
+
+  if (reactions.length === 0 && !pickerOpen) return null;
+
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-1">
+      {reactions.map(({ emoji, count, mine }) => (
+        <button
+          key={emoji}
+          type="button"
+          onClick={() => onReact(messageId, emoji, mine)}
+          className={`rounded-full border px-2 text-sm ${mine ? 'border-purple-400 bg-purple-100' : 'border-gray-200 bg-white'}`}
+          title={mine ? 'Remove your reaction' : 'React'}
+        >
+          {emoji}{count > 1 && <span className="ml-1 text-xs text-gray-600">{count}</span>}
+        </button>
+      ))}
+      {pickerOpen && (
+        <div className="flex items-center gap-1 rounded-full bg-white px-2 py-1 shadow">
+          {REACTION_EMOJIS.map((emoji) => (
+            <button
+              key={emoji}
+              type="button"
+              onClick={() => onReact(messageId, emoji, isMine(emoji))}
+              className="text-lg transition hover:scale-125"
+            >
+              {emoji}
+            </button>
+          ))}
+          <button type="button" onClick={() => onReply(messageId)} className="ml-1 text-sm text-gray-600" title="Reply">
+            ↩
+          </button>
+          {onEdit && (
+            <button type="button" onClick={() => onEdit(messageId)} className="ml-1 text-sm text-gray-600" title="Edit">
+              ✎
+            </button>
+          )}
+          {onUnsend && (
+            <button type="button" onClick={() => onUnsend(messageId)} className="ml-1 text-sm text-gray-600" title="Unsend">
+              ⌫
+            </button>
+          )}
+          <button type="button" onClick={onClosePicker} className="ml-1 text-xs text-gray-400" title="Close">
+            ✕
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MessageReactions;
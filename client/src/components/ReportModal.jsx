@@ -0,0 +1,76 @@
+import { useState } from 'react';
+
+// Must match REPORT_REASONS on the server
+const REPORT_REASONS = [
+  { value: 'harassment', label: 'Harassment or bullying' },
+  { value: 'hate_speech', label: 'Hate speech' },
+  { value: 'sexual_content', label: 'Sexual or explicit content' },
+  { value: 'spam', label: 'Spam or scam' },
+  { value: 'underage', label: 'Appears to be underage' },
+  { value: 'other', label: 'Something else' }
+];
+
+const MAX_NOTE_LENGTH = 500;
+
+const ReportModal = ({ isOpen, onClose, onSubmit }) => {
+  const [reason, setReason] = useState('');
+  const [note, setNote] = useState('');
+
+  if (!isOpen) return null;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!reason) return;
+    onSubmit({ reason, note: note.trim() });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-70 backdrop-blur-sm">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-[#1e1e1e] text-gray-200 rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-y-auto font-sans"
+      >
+        <div className="p-6 space-y-4">
+          <h2 className="text-2xl font-bold text-white">Report Stranger</h2>
+          <p className="text-sm text-gray-400">
+            Reporting ends this chat. The recent conversation is shared with our moderators for review.
+          </p>
+
+          <div className="space-y-2 text-sm">
+            {REPORT_REASONS.map(({ value, label }) => (
+              <label key={value} className="flex items-center space-x-2 cursor-pointer">
+                <input
+                  type="radio"
+                  name="reason"
+                  value={value}
+                  checked={reason === value}
+                  onChange={() => setReason(value)}
+                />
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value.slice(0, MAX_NOTE_LENGTH))}
+            placeholder="Add details (optional)"
+            rows={3}
+            className="w-full rounded-md bg-[#2a2a2a] p-2 text-sm text-gray-200"
+          />
+
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={onClose} className="hero-button">
+              Cancel
+            </button>
+            <button type="submit" disabled={!reason} className="hero-button">
+              Report & End Chat
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ReportModal;
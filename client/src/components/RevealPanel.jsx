@@ -0,0 +1,76 @@
+import { useState } from 'react';
+
+// Must match MAX_CONTACT_LENGTH on the server
+const MAX_CONTACT_LENGTH = 100;
+
+// Identity reveal bar under the messages. Opting in shares our display name
+// and an optional contact handle, but the server only discloses them once
+// the partner opts in too; until then we can withdraw.
+const RevealPanel = ({ status, partner, displayName, formOpen, onOpen, onReveal, onWithdraw, onClose }) => {
+  const [contact, setContact] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onReveal(contact.trim());
+  };
+
+  if (status === 'revealed') {
+    return (
+      <div className="bg-green-50 border-t border-green-100 px-4 py-2 text-center text-sm text-green-900">
+        Stranger is <strong>{partner?.displayName}</strong>
+        {partner?.contact && <> · <span className="select-all">{partner.contact}</span></>}
+      </div>
+    );
+  }
+
+  if (status === 'waiting') {
+    return (
+      <div className="bg-green-50 border-t border-green-100 px-4 py-2 flex items-center justify-center gap-3 text-sm text-green-900">
+        <span>You offered to reveal who you are. Stranger only sees it if they reveal too.</span>
+        <button type="button" onClick={onWithdraw} className="text-gray-500 hover:underline">
+          Withdraw
+        </button>
+      </div>
+    );
+  }
+
+  if (!formOpen) {
+    if (status !== 'incoming') return null;
+    return (
+      <div className="bg-green-50 border-t border-green-100 px-4 py-2 flex items-center justify-center gap-3 text-sm text-green-900">
+        <span>Stranger wants to swap identities.</span>
+        <button type="button" onClick={onOpen} className="font-semibold text-green-700 hover:underline">
+          Reveal too
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-green-50 border-t border-green-100 px-4 py-2 text-sm text-green-900">
+      <p className="mb-2">
+        {status === 'incoming'
+          ? <>Stranger has opted in. Revealing shares your name (<strong>{displayName}</strong>) and swaps identities right away.</>
+          : <>Share your name (<strong>{displayName}</strong>) and, if you like, a contact handle. Nothing is shown until you both opt in.</>}
+      </p>
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={contact}
+          onChange={(e) => setContact(e.target.value)}
+          placeholder="Contact handle (optional), e.g. @username"
+          maxLength={MAX_CONTACT_LENGTH}
+          className="hero-input flex-1"
+        />
+        <button type="submit" className="hero-button">
+          Reveal
+        </button>
+        <button type="button" onClick={onClose} className="text-gray-500 hover:underline">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default RevealPanel;
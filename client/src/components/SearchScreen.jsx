@@ -1,10 +1,16 @@
 import { useState } from 'react';
 import useChatStore from '../store/chatStore';
-import { getSocket } from '../services/socket';
+import { Link, useNavigate } from 'react-router-dom';
+import { getSocket, logoutSession } from '../services/socket';
+import InterestTagPicker from './InterestTagPicker';
+import ConnectionInvite from './ConnectionInvite';
+import LobbyBrowser from './LobbyBrowser';
 import logo from '../assets/logo.png';
 
 const SearchScreen = () => {
-  const { isSearching, setSearching } = useChatStore();
+  const { user, isSearching, setSearching, notice, setNotice, interestTags, setInterestTags, logout } = useChatStore();
+  const [showLobbies, setShowLobbies] = useState(false);
+  const navigate = useNavigate();
   const socket = getSocket();
 
   const handleSearch = () => {
@@ -12,8 +18,9 @@ const SearchScreen = () => {
       console.error('Socket not connected');
       return;
     }
+    setNotice(null);
     setSearching(true);
-    socket.emit('search');
+    socket.emit('search', { tags: interestTags });
   };
 
   const handleStopSearch = () => {
@@ -25,6 +32,16 @@ const SearchScreen = () => {
     socket.emit('stopSearch');
   };
 
+  const handleLogout = (everywhere) => {
+    if (everywhere && !window.confirm('Log out on every device? Any open chats will end.')) {
+      return;
+    }
+    logoutSession({ everywhere }).then(() => {
+      logout();
+      navigate('/');
+    });
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-600 via-pink-500 to-red-500 flex items-center justify-center p-4">
       <div className="bg-white rounded-lg shadow-2xl p-8 max-w-md w-full">
@@ -33,18 +50,36 @@ const SearchScreen = () => {
             <img src={logo} alt="USChika Logo" />
           </div>
           <p className="text-gray-600 mb-8">Anonymous 1-on-1 Chat for USC Students</p>
+
+          <ConnectionInvite />
+
+          {notice && (
+            <p className="text-sm text-gray-700 bg-gray-100 rounded-md px-3 py-2 mb-6">
+              {notice}
+            </p>
+          )}
           
           {!isSearching ? (
             <div>
-              <button
-                onClick={handleSearch}
-                className="hero-button"
-              >
-                Find a Chat Partner
-              </button>
+              <InterestTagPicker tags={interestTags} onChange={setInterestTags} />
+              <div className="flex justify-center space-x-2">
+                <button
+                  onClick={handleSearch}
+                  className="hero-button"
+                >
+                  Find a Chat Partner
+                </button>
+                <button
+                  onClick={() => setShowLobbies((value) => !value)}
+                  className="hero-button"
+                >
+                  {showLobbies ? 'Hide Lobbies' : 'Topic Lobbies'}
+                </button>
+              </div>
               <p className="text-sm text-gray-500 mt-4">
-                Connect with random USC students anonymously
+                Connect with random USC students anonymously, or join a small group chat
               </p>
+              {showLobbies && <LobbyBrowser />}
             </div>
           ) : (
             <div>
@@ -61,9 +96,33 @@ const SearchScreen = () => {
                   <div className="w-3 h-3 bg-red-600 rounded-full animate-bounce" style={{ animationDelay: '300ms' }}></div>
                 </div>
                 <p className="text-gray-700 font-medium">Searching for a partner...</p>
+                {interestTags.length > 0 && (
+                  <p className="text-sm text-gray-500 mt-2">
+                    Looking for someone into {interestTags.join(', ')}
+                  </p>
+                )}
               </div>
             </div>
           )}
+
+          <Link to="/connections" className="block text-sm text-purple-600 mt-6">
+            Saved Connections
+          </Link>
+
+          {user?.role === 'admin' && (
+            <Link to="/admin" className="block text-sm text-purple-600 mt-6">
+              Open Admin Console
+            </Link>
+          )}
+
+          <div className="flex justify-center space-x-4 text-sm text-gray-500 mt-6">
+            <button type="button" onClick={() => handleLogout(false)} className="hover:text-gray-700">
+              Log out
+            </button>
+            <button type="button" onClick={() => handleLogout(true)} className="hover:text-gray-700">
+              Log out everywhere
+            </button>
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,226 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { getSocket } from '../services/socket';
+import { fetchReports, resolveReport, endChat, banUser } from '../services/adminApi';
+
+const formatTime = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '-';
+
+const StatCard = ({ label, value }) => (
+  <div className="bg-white rounded-lg shadow p-4 text-center">
+    <p className="text-3xl font-bold text-gray-800">{value}</p>
+    <p className="text-sm text-gray-500">{label}</p>
+  </div>
+);
+
+const AdminConsole = () => {
+  const [snapshot, setSnapshot] = useState({ activeConnections: 0, waiting: [], chats: [] });
+  const [reports, setReports] = useState([]);
+  // The list is one page; total counts every open report
+  const [openReportCount, setOpenReportCount] = useState(0);
+  const [error, setError] = useState('');
+
+  const loadReports = useCallback(() => (
+    fetchReports('open')
+      .then((data) => {
+        setReports(data.reports);
+        setOpenReportCount(data.total);
+      })
+      .catch((err) => setError(err.response?.data?.error || 'Failed to load reports.'))
+  ), []);
+
+  useEffect(() => {
+    const socket = getSocket();
+    if (!socket) return;
+
+    const subscribe = () => socket.emit('adminSubscribe');
+
+    socket.on('adminUpdate', setSnapshot);
+    socket.on('adminReportsChanged', loadReports);
+    // Re-subscribe after a reconnect, since the new socket is not in the admin room
+    socket.on('loginSuccess', subscribe);
+
+    if (socket.connected) {
+      subscribe();
+    }
+    loadReports();
+
+    return () => {
+      socket.emit('adminUnsubscribe');
+      socket.off('adminUpdate', setSnapshot);
+      socket.off('adminReportsChanged', loadReports);
+      socket.off('loginSuccess', subscribe);
+    };
+  }, [loadReports]);
+
+  // Run an admin action and surface any error
+  const runAction = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Action failed.');
+    }
+  };
+
+  const handleEndChat = (roomId) => runAction(() => endChat(roomId));
+
+  const handleBan = (userId) => {
+    const reason = window.prompt('Ban reason:');
+    if (!reason) return;
+    const hours = window.prompt('Suspension length in hours (leave empty for a permanent ban):');
+    const durationHours = hours ? Number(hours) : undefined;
+    runAction(() => banUser(userId, reason, durationHours));
+  };
+
+  const handleResolve = (reportId, status) =>
+    runAction(async () => {
+      await resolveReport(reportId, status);
+      await loadReports();
+    });
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-6 text-gray-800">
+      <div className="max-w-6xl mx-auto space-y-6">
+        <div className="flex justify-between items-center">
+          <h1 className="text-2xl font-bold">USChika Admin Console</h1>
+          <Link to="/chat" className="hero-button">Back to Chat</Link>
+        </div>
+
+        {error && (
+          <p className="bg-red-100 text-red-700 rounded-md px-3 py-2 text-sm">{error}</p>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <StatCard label="Connections" value={snapshot.activeConnections} />
+          <StatCard label="Waiting" value={snapshot.waiting.length} />
+          <StatCard label="Active Chats" value={snapshot.chats.length} />
+          <StatCard label="Open Reports" value={openReportCount} />
+        </div>
+
+        <section className="bg-white rounded-lg shadow p-4">
+          <h2 className="text-lg font-semibold mb-3">Waiting Queue</h2>
+          {snapshot.waiting.length === 0 ? (
+            <p className="text-sm text-gray-500">Nobody is searching.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th>User</th>
+                  <th>Since</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {snapshot.waiting.map((entry) => (
+                  <tr key={entry.socketId} className="border-t">
+                    <td className="py-2">{entry.email}</td>
+                    <td>{formatTime(entry.searchingSince)}</td>
+                    <td className="text-right">
+                      <button onClick={() => handleBan(entry.userId)} className="text-red-600">Ban</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        <section className="bg-white rounded-lg shadow p-4">
+          <h2 className="text-lg font-semibold mb-3">Active Rooms</h2>
+          {snapshot.chats.length === 0 ? (
+            <p className="text-sm text-gray-500">No active chats.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th>Room</th>
+                  <th>Members</th>
+                  <th>Started</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {snapshot.chats.map((chat) => (
+                  <tr key={chat.roomId} className="border-t align-top">
+                    <td className="py-2 font-mono text-xs break-all">{chat.roomId}</td>
+                    <td className="py-2">
+                      {chat.members.map((member) => (
+                        <div key={member.userId} className="flex items-center space-x-2">
+                          <span>{member.email ?? member.userId}</span>
+                          {member.reconnecting && <span className="text-yellow-600">(reconnecting)</span>}
+                          {member.userId && (
+                            <button onClick={() => handleBan(member.userId)} className="text-red-600">Ban</button>
+                          )}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="py-2">{formatTime(chat.startedAt)}</td>
+                    <td className="py-2 text-right">
+                      <button onClick={() => handleEndChat(chat.roomId)} className="text-red-600">End Chat</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        <section className="bg-white rounded-lg shadow p-4">
+          <h2 className="text-lg font-semibold mb-3">Report Queue</h2>
+          {reports.length === 0 ? (
+            <p className="text-sm text-gray-500">No open reports.</p>
+          ) : (
+            <ul className="space-y-4">
+              {reports.map((report) => (
+                <li key={report._id} className="border rounded-md p-3 text-sm">
+                  <div className="flex justify-between">
+                    <div>
+                      <p>
+                        <strong>{report.reason}</strong> against {report.reportedUser?.email ?? 'unknown user'}
+                      </p>
+                      <p className="text-gray-500">
+                        by {report.source === 'filter' ? 'content filter' : report.reporter?.email ?? 'unknown user'}
+                        {' '}at {new Date(report.createdAt).toLocaleString()}
+                      </p>
+                      {report.flaggedRules?.length > 0 && (
+                        <p className="text-gray-500">Rules: {report.flaggedRules.join(', ')}</p>
+                      )}
+                      {report.note && <p className="mt-1 italic">“{report.note}”</p>}
+                    </div>
+                    <div className="space-x-2 whitespace-nowrap">
+                      {report.reportedUser && (
+                        <button onClick={() => handleBan(report.reportedUser._id)} className="text-red-600">Ban</button>
+                      )}
+                      <button onClick={() => handleResolve(report._id, 'resolved')} className="text-green-700">Resolve</button>
+                      <button onClick={() => handleResolve(report._id, 'dismissed')} className="text-gray-600">Dismiss</button>
+                    </div>
+                  </div>
+                  {report.messages.length > 0 && (
+                    <details className="mt-2">
+                      <summary className="cursor-pointer text-gray-500">
+                        Conversation ({report.messages.length} messages)
+                      </summary>
+                      <ul className="mt-2 space-y-1">
+                        {report.messages.map((msg, index) => (
+                          <li key={index}>
+                            <span className="text-gray-500">
+                              [{formatTime(msg.timestamp)}] {msg.sender === report.reportedUser?._id ? 'Reported' : 'Reporter'}:
+                            </span>{' '}
+                            {msg.content}
+                          </li>
+                        ))}
+                      </ul>
+                    </details>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default AdminConsole;
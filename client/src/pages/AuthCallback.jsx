@@ -1,8 +1,7 @@
 import { useEffect, useState } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import axios from 'axios';
-import { initSocket } from '../services/socket';
-import useChatStore from '../store/chatStore';
+import { storeSession, storeBanInfo } from '../services/socket';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
@@ -10,7 +9,6 @@ const AuthCallback = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const [error, setError] = useState('');
-  const { setConnected, setMatched, setSearching, addMessage, setPartnerConnected, setUser } = useChatStore();
 
   useEffect(() => {
     const verifyAndStoreToken = async () => {
@@ -24,79 +22,28 @@ const AuthCallback = () => {
       }
 
       try {
-        // Validate token with server before storing
+        // Exchange the one-time link token for a session
         const response = await axios.post(`${API_URL}/auth/verify-token`, { token });
         
-        if (response.data.email) {
-          // Token is valid, store it
-          localStorage.setItem('authToken', token);
+        if (response.data.sessionToken) {
+          // Token is valid, store the session tokens
+          storeSession(response.data);
           // Clear the token from URL for security
           window.history.replaceState({}, document.title, '/auth');
           
-          // Initialize socket after token is stored
-          const socket = initSocket();
-          
-          if (socket) {
-            // Wait for loginSuccess before navigating
-            socket.on('loginSuccess', (data) => {
-              console.log('Login successful, user data received:', data.user);
-              setUser(data.user);
-              setConnected(true);
-              // Navigate only after successful authentication
-              navigate('/chat');
-            });
-
-            socket.on('connect', () => {
-              console.log('Connected to server');
-            });
-
-            socket.on('disconnect', () => {
-              console.log('Disconnected from server');
-              setConnected(false);
-            });
-
-            socket.on('matched', ({ roomId }) => {
-              console.log('Matched! Room:', roomId);
-              setMatched(true, roomId);
-              setSearching(false);
-            });
-
-            socket.on('searchStopped', () => {
-              console.log('Search stopped');
-              setSearching(false);
-            });
-
-            socket.on('receiveMessage', (message) => {
-              console.log('Message received:', message.content);
-              addMessage({
-                text: message.content,
-                sender: 'partner',
-                timestamp: message.timestamp
-              });
-            });
-
-            socket.on('partnerDisconnected', () => {
-              console.log('Partner disconnected');
-              setPartnerConnected(false);
-            });
-
-            socket.on('unauthorized', () => {
-              console.log('Unauthorized, redirecting to login');
-              setError('Session expired. Please request a new magic link.');
-              setTimeout(() => navigate('/'), 3000);
-            });
-
-            socket.connect();
-          } else {
-            setError('Failed to initialize connection.');
-            setTimeout(() => navigate('/'), 3000);
-          }
+          // Full load so App connects the socket and registers every listener
+          window.location.assign('/chat');
         } else {
           setError('Invalid token. Please request a new magic link.');
           setTimeout(() => navigate('/'), 3000);
         }
       } catch (err) {
         console.error('Token verification failed:', err);
+        if (err.response?.data?.banned) {
+          storeBanInfo(err.response.data);
+          navigate('/banned');
+          return;
+        }
         const errorMessage = err.response?.data?.error || 'Token verification failed.';
         setError(errorMessage);
         setTimeout(() => navigate('/'), 3000);
@@ -104,7 +51,7 @@ const AuthCallback = () => {
     };
 
     verifyAndStoreToken();
-  }, [location.search, navigate, setConnected, setMatched, setSearching, addMessage, setPartnerConnected, setUser]);
+  }, [location.search, navigate]);
 
   return (
     <div className="min-h-screen bg-gray-100 flex items-center justify-center">
@@ -0,0 +1,54 @@
+import { useNavigate } from 'react-router-dom';
+
+const readBanInfo = () => {
+  try {
+    return JSON.parse(localStorage.getItem('banInfo')) || {};
+  } catch {
+    return {};
+  }
+};
+
+const BannedScreen = () => {
+  const navigate = useNavigate();
+  const { reason, expiresAt } = readBanInfo();
+  const expired = expiresAt && new Date(expiresAt) <= new Date();
+
+  const handleBack = () => {
+    localStorage.removeItem('banInfo');
+    navigate('/');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-2xl p-8 max-w-md w-full text-center">
+        {expired ? (
+          <>
+            <h2 className="text-2xl font-bold text-gray-800 mb-4">Your suspension has ended</h2>
+            <p className="text-gray-600 mb-6">You can sign in again. Please follow the Code of Conduct.</p>
+          </>
+        ) : (
+          <>
+            <h2 className="text-2xl font-bold text-red-600 mb-4">
+              {expiresAt ? 'Your account is suspended' : 'Your account has been banned'}
+            </h2>
+            {reason && (
+              <p className="text-gray-700 mb-2">
+                <strong>Reason:</strong> {reason}
+              </p>
+            )}
+            <p className="text-gray-600 mb-6">
+              {expiresAt
+                ? `You can use USChika again after ${new Date(expiresAt).toLocaleString()}.`
+                : 'This ban is permanent.'}
+            </p>
+          </>
+        )}
+        <button onClick={handleBack} className="hero-button">
+          Back to Home
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BannedScreen;
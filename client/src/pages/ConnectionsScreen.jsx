@@ -0,0 +1,131 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import useChatStore from '../store/chatStore';
+import { getSocket } from '../services/socket';
+import { fetchConnections, renameConnection, removeConnection } from '../services/connectionsApi';
+import ConnectionInvite from '../components/ConnectionInvite';
+
+// Human-readable reasons for inviteConnection error codes
+const INVITE_ERRORS = {
+  RATE_LIMITED: 'Slow down a little.',
+  ALREADY_IN_CHAT: 'Leave your current chat first.',
+  PARTNER_OFFLINE: 'They are not online right now.',
+  PARTNER_BUSY: 'They are in another chat right now.',
+  CONNECTION_NOT_FOUND: 'That connection was removed.'
+};
+
+// Strangers both sides chose to keep in touch with. Nobody's name is shown;
+// each user can give their connections a private nickname.
+const ConnectionsScreen = () => {
+  const { connections, setConnections, updateConnection, dropConnection, notice, setNotice } = useChatStore();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const socket = getSocket();
+
+  useEffect(() => {
+    fetchConnections()
+      .then(setConnections)
+      .catch((err) => setError(err.response?.data?.error || 'Failed to load connections.'))
+      .finally(() => setLoading(false));
+  }, [setConnections]);
+
+  const handleInvite = (connectionId) => {
+    if (!socket?.connected) {
+      return;
+    }
+    setNotice(null);
+    socket.emit('inviteConnection', { connectionId }, (response) => {
+      setNotice(response?.ok
+        ? 'Invite sent. The chat opens once they accept.'
+        : INVITE_ERRORS[response?.error] || 'Could not send the invite.');
+    });
+  };
+
+  const handleRename = (connection) => {
+    const nickname = window.prompt('Nickname for this connection (only you see it):', connection.nickname);
+    if (nickname === null) return;
+    setError('');
+    renameConnection(connection.id, nickname)
+      .then((updated) => updateConnection(connection.id, updated))
+      .catch((err) => setError(err.response?.data?.error || 'Failed to rename.'));
+  };
+
+  const handleRemove = (connectionId) => {
+    if (!window.confirm('Remove this connection? Neither of you will be able to invite the other again.')) {
+      return;
+    }
+    setError('');
+    removeConnection(connectionId)
+      .then(() => dropConnection(connectionId))
+      .catch((err) => setError(err.response?.data?.error || 'Failed to remove.'));
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-600 via-pink-500 to-red-500 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-2xl p-8 max-w-md w-full">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2 text-center">Saved Connections</h2>
+        <p className="text-sm text-gray-500 mb-6 text-center">
+          You stay anonymous. Invite a connection to chat again while they are online.
+        </p>
+
+        <ConnectionInvite />
+
+        {notice && (
+          <p className="text-sm text-gray-700 bg-gray-100 rounded-md px-3 py-2 mb-4 text-center">
+            {notice}
+          </p>
+        )}
+        {error && <p className="text-sm text-red-600 mb-4 text-center">{error}</p>}
+
+        {loading ? (
+          <p className="text-gray-600 text-center">Loading...</p>
+        ) : connections.length === 0 ? (
+          <p className="text-gray-600 text-center">
+            No connections yet. Use Connect during a chat to save a stranger you get along with.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {connections.map((connection) => (
+              <li key={connection.id} className="py-3 flex items-center justify-between">
+                <div>
+                  <p className="font-medium text-gray-800">
+                    <span
+                      className={`inline-block w-2 h-2 rounded-full mr-2 ${connection.online ? 'bg-green-500' : 'bg-gray-300'}`}
+                      title={connection.online ? 'Online' : 'Offline'}
+                    />
+                    {connection.nickname || 'Unnamed connection'}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Saved {new Date(connection.createdAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex space-x-3 text-sm">
+                  <button
+                    type="button"
+                    onClick={() => handleInvite(connection.id)}
+                    disabled={!connection.online}
+                    className="font-semibold text-purple-700 hover:underline disabled:text-gray-400 disabled:no-underline"
+                  >
+                    Chat
+                  </button>
+                  <button type="button" onClick={() => handleRename(connection)} className="text-gray-500 hover:underline">
+                    Rename
+                  </button>
+                  <button type="button" onClick={() => handleRemove(connection.id)} className="text-gray-500 hover:underline">
+                    Remove
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <Link to="/chat" className="block text-sm text-purple-600 mt-6 text-center">
+          Back
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ConnectionsScreen;
@@ -0,0 +1,26 @@
+import axios from 'axios';
+import { getFreshToken } from './socket';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Admin routes accept the logged-in admin's session token as a bearer token
+const adminRequest = (method, path, data) => getFreshToken()
+  .then((token) => axios({
+    method,
+    url: `${API_URL}/admin${path}`,
+    data,
+    headers: { Authorization: `Bearer ${token}` }
+  }))
+  .then((response) => response.data);
+
+export const fetchReports = (status = 'open') =>
+  adminRequest('get', `/reports?status=${encodeURIComponent(status)}&limit=50`);
+
+export const resolveReport = (reportId, status, resolutionNote) =>
+  adminRequest('post', `/reports/${reportId}/resolve`, { status, resolutionNote });
+
+export const endChat = (roomId) =>
+  adminRequest('post', `/chats/${encodeURIComponent(roomId)}/end`);
+
+export const banUser = (userId, reason, durationHours) =>
+  adminRequest('post', `/users/${userId}/ban`, { reason, durationHours });
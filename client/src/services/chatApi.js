@@ -0,0 +1,55 @@
+import axios from 'axios';
+import { getFreshToken } from './socket';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Longest side of an image after it is scaled down for sending
+const MAX_IMAGE_DIMENSION = 1600;
+const IMAGE_QUALITY = 0.85;
+
+// Scale an image down and re-encode it as JPEG. Besides keeping uploads
+// small, drawing to a canvas applies the EXIF rotation and drops the rest
+// of the metadata before the file leaves the device.
+export const prepareImage = (file) => createImageBitmap(file)
+  .then((bitmap) => {
+    const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error('Could not encode image'))),
+        'image/jpeg',
+        IMAGE_QUALITY
+      );
+    });
+  });
+
+// Send an image to the current chat partner. Resolves with the stored
+// message ({ id, type, imageUrl, timestamp }).
+export const uploadImage = (blob) => getFreshToken()
+  .then((token) => axios.post(`${API_URL}/chat/images`, blob, {
+    headers: { 'Content-Type': blob.type, Authorization: `Bearer ${token}` }
+  }))
+  .then((response) => response.data);
+
+// Image URLs from the server are relative to the API
+export const resolveImageUrl = (url) => (url?.startsWith('/') ? `${API_URL}${url}` : url);
+
+const downloadFile = (fileName, data, type) => {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Save a transcriptReady payload as a .txt and a .json file
+export const downloadTranscript = ({ fileName, text, json }) => {
+  downloadFile(`${fileName}.txt`, text, 'text/plain;charset=utf-8');
+  downloadFile(`${fileName}.json`, JSON.stringify(json, null, 2), 'application/json');
+};
@@ -0,0 +1,24 @@
+import axios from 'axios';
+import { getFreshToken } from './socket';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Connection routes take the session token as a bearer token
+const connectionsRequest = (method, path, data) => getFreshToken()
+  .then((token) => axios({
+    method,
+    url: `${API_URL}/connections${path}`,
+    data,
+    headers: { Authorization: `Bearer ${token}` }
+  }))
+  .then((response) => response.data);
+
+// Resolves with [{ id, nickname, online, lastChatAt, createdAt }]
+export const fetchConnections = () =>
+  connectionsRequest('get', '').then((data) => data.connections);
+
+export const renameConnection = (connectionId, nickname) =>
+  connectionsRequest('post', `/${connectionId}/nickname`, { nickname }).then((data) => data.connection);
+
+export const removeConnection = (connectionId) =>
+  connectionsRequest('post', `/${connectionId}/remove`);
@@ -1,8 +1,16 @@
 import { io } from 'socket.io-client';
+import axios from 'axios';
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Refresh the session token when it has less than this left
+const REFRESH_MARGIN_MS = 60 * 1000;
+// Only one refresh-and-retry per auth failure within this window
+const AUTH_RETRY_WINDOW_MS = 30 * 1000;
 
 let socket = null;
+let refreshPromise = null;
 
 // Validate token format (basic JWT structure check)
 const isValidTokenFormat = (token) => {
@@ -11,6 +19,97 @@ const isValidTokenFormat = (token) => {
   return parts.length === 3;
 };
 
+// Read a JWT's expiry without verifying it; the server does that
+const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000;
+  } catch {
+    return 0;
+  }
+};
+
+// Persist ban details for the /banned screen
+export const storeBanInfo = ({ reason, expiresAt } = {}) => {
+  localStorage.setItem('banInfo', JSON.stringify({ reason, expiresAt }));
+};
+
+// Save the token pair returned by /auth/verify-token and /auth/refresh
+export const storeSession = ({ sessionToken, refreshToken }) => {
+  localStorage.setItem('authToken', sessionToken);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+};
+
+// Trade the refresh token for a new session token. Resolves to the new
+// session token, or null if the session is gone. Concurrent callers share
+// one request, since each refresh token can only be used once.
+export const refreshSession = () => {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return Promise.resolve(null);
+
+  refreshPromise = axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+    .then(({ data }) => {
+      storeSession(data);
+      return data.sessionToken;
+    })
+    .catch((err) => {
+      console.error('Session refresh failed:', err.response?.data?.error || err.message);
+      if (err.response?.data?.banned) {
+        storeBanInfo(err.response.data);
+        clearSession();
+        window.location.href = '/banned';
+      } else if (err.response?.status === 401) {
+        // Network errors keep the session so the next attempt can retry
+        clearSession();
+      }
+      return null;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+};
+
+// Current session token, refreshed first if it is about to expire
+export const getFreshToken = async () => {
+  const token = localStorage.getItem('authToken');
+  if (isValidTokenFormat(token) && getTokenExpiry(token) - Date.now() > REFRESH_MARGIN_MS) {
+    return token;
+  }
+  return refreshSession();
+};
+
+// End the session on the server, or every session of the account, then
+// clear it locally. Local state is cleared even if the request fails.
+export const logoutSession = ({ everywhere = false } = {}) => {
+  const token = localStorage.getItem('authToken');
+  const request = token
+    ? axios.post(`${API_URL}/auth/logout`, { everywhere }, { headers: { Authorization: `Bearer ${token}` } })
+    : Promise.resolve();
+
+  return request
+    .catch((err) => console.error('Logout failed:', err.response?.data?.error || err.message))
+    .finally(() => {
+      clearSession();
+      disconnectSocket();
+    });
+};
+
+// Clear the session and send the user back to the login page
+const endSession = () => {
+  clearSession();
+  disconnectSocket();
+  window.location.href = '/';
+};
+
 export const initSocket = () => {
   // If socket exists and is connected, return it
   if (socket?.connected) {
@@ -25,18 +124,24 @@ export const initSocket = () => {
 
   const token = localStorage.getItem('authToken');
 
-  // Validate token exists and has proper format
-  if (!token || !isValidTokenFormat(token)) {
+  // Validate token exists and has proper format. An expired session token is
+  // fine as long as there is a refresh token to replace it.
+  if (!isValidTokenFormat(token) && !localStorage.getItem('refreshToken')) {
     console.log("No valid auth token found, socket initialization skipped.");
-    localStorage.removeItem('authToken'); // Clear invalid token
+    clearSession(); // Clear invalid token
     return null;
   }
 
+  // A second auth failure this soon after a retry means the fresh session
+  // was rejected too
+  let lastRetryAt = 0;
+
   // Create a new socket instance
   socket = io(SOCKET_URL, {
     autoConnect: false,
-    auth: {
-      token
+    // Called before every (re)connect, so the handshake always carries a fresh token
+    auth: (cb) => {
+      getFreshToken().then((freshToken) => cb({ token: freshToken }));
     },
     // Add reconnection settings
     reconnection: true,
@@ -45,29 +150,62 @@ export const initSocket = () => {
     timeout: 10000
   });
 
-  // Handle authentication errors during connection
+  // The session token was rejected: refresh it once and reconnect, or log out
+  const retryWithFreshSession = () => {
+    if (Date.now() - lastRetryAt < AUTH_RETRY_WINDOW_MS) {
+      console.log('Authentication failed again, clearing token...');
+      endSession();
+      return;
+    }
+
+    console.log('Authentication failed, refreshing session...');
+    lastRetryAt = Date.now();
+    refreshSession().then((freshToken) => {
+      if (!freshToken) {
+        // Redirect to login page
+        endSession();
+      } else if (socket) {
+        socket.disconnect().connect();
+      }
+    });
+  };
+
+  // Handle authentication errors from the handshake. The client does not
+  // retry these on its own.
   socket.on('connect_error', (err) => {
     console.error('Socket connection error:', err.message);
     
     if (err.message === 'Unauthorized' || err.message === 'Token expired') {
-      console.log('Authentication failed, clearing token...');
-      localStorage.removeItem('authToken');
+      retryWithFreshSession();
+    } else if (err.message === 'Banned') {
+      console.log('Account is banned, clearing token...');
+      storeBanInfo(err.data);
+      clearSession();
       disconnectSocket();
-      // Redirect to login page
-      window.location.href = '/';
+      window.location.href = '/banned';
     }
   });
 
-  socket.on('unauthorized', () => {
-    console.log('Received unauthorized event, clearing token...');
-    localStorage.removeItem('authToken');
+  socket.on('unauthorized', retryWithFreshSession);
+
+  // This session was ended, e.g. by "log out everywhere" in another tab
+  socket.on('loggedOut', () => {
+    console.log('Logged out, clearing token...');
+    endSession();
+  });
+
+  socket.on('kicked', () => {
+    console.log('Disconnected by a moderator.');
     disconnectSocket();
     window.location.href = '/';
   });
 
-  socket.on('connect', () => {
-    console.log('Socket connected, emitting login event.');
-    socket.emit('login', { token });
+  socket.on('banned', (ban) => {
+    console.log('Account is banned, clearing token...');
+    storeBanInfo(ban);
+    clearSession();
+    disconnectSocket();
+    window.location.href = '/banned';
   });
 
   return socket;
@@ -1,5 +1,25 @@
 import { create } from 'zustand';
 
+// Hide the typing indicator if the partner's stopTyping never arrives
+const PARTNER_TYPING_TIMEOUT = 5000;
+let partnerTypingTimer = null;
+let transcriptTimer = null;
+let inviteTimer = null;
+
+// Keep messages ordered by server timestamp (pending ones use their local send time)
+const sortByTimestamp = (messages) =>
+  [...messages].sort((a, b) => a.timestamp - b.timestamp);
+
+// Interest tags are remembered between visits
+const loadInterestTags = () => {
+  try {
+    const tags = JSON.parse(localStorage.getItem('interestTags'));
+    return Array.isArray(tags) ? tags : [];
+  } catch {
+    return [];
+  }
+};
+
 const useChatStore = create((set) => ({
   // User state
   user: null,
@@ -16,24 +36,166 @@ const useChatStore = create((set) => ({
   setSearching: (isSearching) => set({ isSearching }),
   setMatched: (isMatched, roomId = null) => set({ isMatched, roomId }),
 
+  // Interest tags sent with `search`, and the ones shared with the current partner
+  interestTags: loadInterestTags(),
+  setInterestTags: (interestTags) => {
+    localStorage.setItem('interestTags', JSON.stringify(interestTags));
+    set({ interestTags });
+  },
+  sharedTags: [],
+  setSharedTags: (sharedTags) => set({ sharedTags }),
+
   // Messages
   messages: [],
   addMessage: (message) => set((state) => ({
-    messages: [...state.messages, message]
+    messages: sortByTimestamp([...state.messages, message])
+  })),
+  // Patch one of our own messages by its client id (e.g. after the server ack)
+  updateMessage: (clientId, changes) => set((state) => ({
+    messages: sortByTimestamp(state.messages.map((msg) =>
+      msg.clientId === clientId ? { ...msg, ...changes } : msg
+    ))
+  })),
+  // Replace the reactions on a message by its server id
+  setReactions: (messageId, reactions) => set((state) => ({
+    messages: state.messages.map((msg) =>
+      msg.id === messageId ? { ...msg, reactions } : msg
+    )
+  })),
+  // Apply an edit or unsend of a message, from either side of the chat
+  markEdited: (messageId, text, editedAt) => set((state) => ({
+    messages: state.messages.map((msg) =>
+      msg.id === messageId ? { ...msg, text, editedAt } : msg
+    )
+  })),
+  markUnsent: (messageId) => set((state) => ({
+    messages: state.messages.map((msg) =>
+      msg.id === messageId
+        ? { ...msg, deleted: true, text: undefined, imageUrl: undefined, reactions: [] }
+        : msg
+    )
   })),
   clearMessages: () => set({ messages: [] }),
+  // Rebuild messages from the chatResumed history, keeping our own unacked messages
+  restoreMessages: (history) => set((state) => ({
+    messages: sortByTimestamp([
+      ...history.map((msg) => ({
+        id: msg.id,
+        type: msg.type,
+        text: msg.content,
+        imageUrl: msg.imageUrl,
+        reactions: msg.reactions,
+        replyTo: msg.replyTo,
+        editedAt: msg.editedAt,
+        deleted: msg.deleted,
+        sender: msg.mine ? 'me' : 'partner',
+        timestamp: msg.timestamp,
+        status: msg.mine ? 'sent' : undefined
+      })),
+      ...state.messages.filter((msg) => msg.sender === 'me' && msg.status !== 'sent')
+    ])
+  })),
+  // How long our messages can be edited or unsent; the server sends its setting on login
+  messageEditWindowMs: 5 * 60 * 1000,
+  setMessageEditWindowMs: (messageEditWindowMs) => set({ messageEditWindowMs }),
 
   // Partner status
   partnerConnected: true,
   setPartnerConnected: (partnerConnected) => set({ partnerConnected }),
+  // Partner dropped but may come back within the server's grace period
+  partnerReconnecting: false,
+  setPartnerReconnecting: (partnerReconnecting) => set({ partnerReconnecting }),
+
+  // Partner typing indicator
+  partnerTyping: false,
+  setPartnerTyping: (partnerTyping) => {
+    clearTimeout(partnerTypingTimer);
+    if (partnerTyping) {
+      partnerTypingTimer = setTimeout(() => set({ partnerTyping: false }), PARTNER_TYPING_TIMEOUT);
+    }
+    set({ partnerTyping });
+  },
+
+  // Transcript consent for this chat: 'requested' by us, 'incoming' from the
+  // partner, 'agreed' by both, or 'declined' by the partner. Open requests
+  // lapse on the server after expiresInMs.
+  transcriptStatus: null,
+  setTranscriptStatus: (transcriptStatus, expiresInMs) => {
+    clearTimeout(transcriptTimer);
+    if (expiresInMs) {
+      transcriptTimer = setTimeout(() => set({ transcriptStatus: null }), expiresInMs);
+    }
+    set({ transcriptStatus });
+  },
+
+  // Identity reveal for this chat: 'waiting' after we opted in, 'incoming'
+  // when the partner did, 'revealed' once both did (partnerIdentity is set)
+  revealStatus: null,
+  partnerIdentity: null,
+  setReveal: (revealStatus, partnerIdentity = null) => set({ revealStatus, partnerIdentity }),
+
+  // Saving the current partner as a connection: 'waiting' after we offered,
+  // 'incoming' when the partner did, 'saved' once both did (or from the start
+  // of a direct chat with a saved connection)
+  connectionStatus: null,
+  setConnectionStatus: (connectionStatus) => set({ connectionStatus }),
+
+  // Saved connections, loaded by the connections screen and kept current by
+  // presence events
+  connections: [],
+  setConnections: (connections) => set({ connections }),
+  updateConnection: (connectionId, changes) => set((state) => ({
+    connections: state.connections.map((connection) =>
+      connection.id === connectionId ? { ...connection, ...changes } : connection
+    )
+  })),
+  dropConnection: (connectionId) => set((state) => ({
+    connections: state.connections.filter((connection) => connection.id !== connectionId)
+  })),
+
+  // Open invite to a direct chat from a saved connection ({ connectionId,
+  // nickname }); it lapses on the server after expiresInMs
+  connectionInvite: null,
+  setConnectionInvite: (connectionInvite, expiresInMs) => {
+    clearTimeout(inviteTimer);
+    if (expiresInMs) {
+      inviteTimer = setTimeout(() => set({ connectionInvite: null }), expiresInMs);
+    }
+    set({ connectionInvite });
+  },
+
+  // Topic lobbies: the list in the lobby browser, the lobby we are in
+  // ({ id, name, count, capacity, alias }) and its messages. System lines
+  // for members joining and leaving have `system: true`.
+  lobbies: [],
+  setLobbies: (lobbies) => set({ lobbies }),
+  lobby: null,
+  lobbyMessages: [],
+  enterLobby: (lobby, lobbyMessages) => set({ lobby, lobbyMessages }),
+  exitLobby: () => set({ lobby: null, lobbyMessages: [] }),
+  addLobbyMessage: (message) => set((state) => ({
+    lobbyMessages: [...state.lobbyMessages, message]
+  })),
+  setLobbyCount: (count) => set((state) => (state.lobby ? { lobby: { ...state.lobby, count } } : {})),
+
+  // One-off notice shown on the search screen (e.g. report confirmation)
+  notice: null,
+  setNotice: (notice) => set({ notice }),
 
   // Reset chat-specific state
   resetChat: () => set({
     isSearching: false,
     isMatched: false,
     roomId: null,
+    sharedTags: [],
     messages: [],
-    partnerConnected: true
+    partnerConnected: true,
+    partnerReconnecting: false,
+    partnerTyping: false,
+    transcriptStatus: null,
+    revealStatus: null,
+    partnerIdentity: null,
+    connectionStatus: null
   }),
 
   // Add a full logout reset
@@ -43,8 +205,20 @@ const useChatStore = create((set) => ({
     isSearching: false,
     isMatched: false,
     roomId: null,
+    sharedTags: [],
     messages: [],
-    partnerConnected: true
+    partnerConnected: true,
+    partnerReconnecting: false,
+    partnerTyping: false,
+    transcriptStatus: null,
+    revealStatus: null,
+    partnerIdentity: null,
+    connectionStatus: null,
+    connections: [],
+    connectionInvite: null,
+    lobby: null,
+    lobbyMessages: [],
+    notice: null
   })
 }));
 
@@ -0,0 +1,18 @@
+// pm2 config for running two instances side by side on one machine.
+// Both share matchmaking state through the Redis-compatible server at
+// REDIS_URL, which needs Redis 5+ or Valkey. For development, start one with
+//   docker run --rm -p 6379:6379 valkey/valkey:8
+// (or a local redis-server), then
+//   pm2 start ecosystem.config.cjs
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+
+module.exports = {
+  apps: [5000, 5001].map((port) => ({
+    name: `uschika-${port}`,
+    script: 'index.js',
+    env: {
+      PORT: port,
+      REDIS_URL
+    }
+  }))
+};
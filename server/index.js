@@ -5,13 +5,17 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
-import nodemailer from 'nodemailer';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import crypto from 'crypto';
+import { createStore } from './store/index.js';
+import { createMailer } from './mailer/index.js';
+import { createContentFilter } from './moderation/index.js';
+import { createImageStore, InvalidImageError, IMAGE_MIME_TYPES } from './media/index.js';
 
 dotenv.config();
 
-const requiredEnvVars = ['JWT_SECRET', 'EMAIL_USER', 'EMAIL_PASS', 'CLIENT_URL', 'MONGODB_URI'];
+const requiredEnvVars = ['JWT_SECRET', 'CLIENT_URL', 'MONGODB_URI'];
 requiredEnvVars.forEach((envVar) => {
   if (!process.env[envVar]) {
     console.error(`Missing required environment variable: ${envVar}`);
@@ -19,6 +23,26 @@ requiredEnvVars.forEach((envVar) => {
   }
 });
 
+// Email delivery: SMTP, or console/file output for development (see mailer/)
+let mailer;
+try {
+  mailer = createMailer();
+  console.log(`Mail transport: ${mailer.transport}`);
+} catch (error) {
+  console.error(`Invalid mail configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// Word and regex rules applied to every chat message (see moderation/)
+let contentFilter;
+try {
+  contentFilter = createContentFilter();
+  console.log(`Content filter: ${contentFilter.ruleCount} rules from ${contentFilter.file}`);
+} catch (error) {
+  console.error(`Invalid content filter configuration: ${error.message}`);
+  process.exit(1);
+}
+
 const app = express();
 const httpServer = createServer(app);
 const io = new Server(httpServer, {
@@ -26,15 +50,61 @@ const io = new Server(httpServer, {
     origin: process.env.CLIENT_URL || 'localhost:5173',
     methods: ['GET', 'POST']
   },
-  // Add connection rate limiting
+  // Replays missed events after a brief drop. Recovered sockets still go
+  // through the io.use auth below, so a revoked session can't come back.
   connectionStateRecovery: {
     maxDisconnectionDuration: 2 * 60 * 1000, // 2 minutes
+    skipMiddlewares: false
   }
 });
 
 // Constants
 const MAX_MESSAGE_LENGTH = 1000;
+const MESSAGE_TTL_MS = 24 * 60 * 60 * 1000; // Messages and chat images are deleted after 24h
+const MESSAGE_TYPES = ['text', 'image'];
+const MAX_IMAGE_BYTES = 3 * 1024 * 1024;
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🙏']; // Must match the client's picker
 const EMAIL_REGEX = /^[a-zA-Z0-9._%+-]+@usc\.edu\.ph$/;
+const ADMIN_ROOM = 'admins'; // Socket.IO room for live admin console updates
+const REPORT_REASONS = ['harassment', 'hate_speech', 'sexual_content', 'spam', 'underage', 'other'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const REPORT_SOURCES = ['user', 'filter']; // Filed by the partner, or by the content filter
+const MAX_REPORT_NOTE_LENGTH = 500;
+const REPORT_SNAPSHOT_SIZE = 50; // Most recent messages kept as evidence
+const MAX_BAN_REASON_LENGTH = 500;
+const MAX_CONTACT_LENGTH = 100; // Contact handle shared through an identity reveal
+const MAX_NICKNAME_LENGTH = 40; // Private name a user gives a saved connection
+const DIRECT_INVITE_TTL_MS = 60 * 1000; // How long an invite to chat with a connection stays open
+const RECONNECT_GRACE_MS = 60 * 1000; // How long a dropped user keeps their chat
+const RESUME_HISTORY_LIMIT = 200; // Messages replayed when a chat is resumed
+const MAX_INTEREST_TAGS = 5;
+const MAX_TAG_LENGTH = 30;
+// How long a user with interest tags waits for an overlapping partner before
+// falling back to random matching
+const TAG_MATCH_WAIT_MS = parseInt(process.env.TAG_MATCH_WAIT_MS, 10) || 15 * 1000;
+// How long after sending a message its sender may still edit or unsend it
+const MESSAGE_EDIT_WINDOW_MS = parseInt(process.env.MESSAGE_EDIT_WINDOW_MS, 10) || 5 * 60 * 1000;
+// Topic lobbies for small group chats. Ids appear in socket events and room names.
+const LOBBIES = [
+  { id: 'exams', name: 'Exams' },
+  { id: 'orgs', name: 'Orgs' },
+  { id: 'freshies', name: 'Freshies' }
+];
+const LOBBY_CAPACITY = parseInt(process.env.LOBBY_CAPACITY, 10) || 20;
+const LOBBY_HISTORY_LIMIT = 50; // Recent messages shown when joining a lobby
+const TRANSCRIPT_REQUEST_TTL_MS = 2 * 60 * 1000; // How long a transcript request waits for an answer
+const RECENT_MATCH_TTL_MS = 30 * 60 * 1000; // Don't re-pair the same two users within this window
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000; // Also how long the emailed login code works
+const MAX_LOGIN_CODE_ATTEMPTS = 5; // Wrong guesses allowed per emailed code
+// Requesting new links resets the per-code count, so guesses are also capped
+// per address across all of its links
+const MAX_LOGIN_CODE_ATTEMPTS_PER_EMAIL = 10;
+const LOGIN_CODE_LOCKOUT_MS = 60 * 60 * 1000;
+const SESSION_TOKEN_TTL = '1h'; // Session JWT used by the socket and admin API
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Sessions end after 30 days without a refresh
+// A just-rotated refresh token is still accepted this long, so tabs that
+// refresh at the same time don't lock each other out
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
 
 // Security Middleware
 app.use(helmet({
@@ -66,6 +136,50 @@ const magicLinkLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiting for chat image uploads, on top of the per-user limit
+const imageUploadLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20, // 20 uploads per minute per IP
+  message: { error: 'Too many images sent. Please slow down.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Admin API rate limiters
+const adminLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300, // 300 requests per window per IP
+  message: { error: 'Too many admin requests. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const adminActionLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // 30 moderation actions per minute per IP
+  message: { error: 'Too many moderation actions. Please slow down.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting for login code guesses, on top of the per-code attempt limit
+const verifyCodeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 attempts per window per IP
+  message: { error: 'Too many login attempts. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Connections list, renames and removals
+const connectionsLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // 60 requests per minute per IP
+  message: { error: 'Too many requests. Please slow down.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // General API rate limiter
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -76,6 +190,7 @@ const apiLimiter = rateLimit({
 });
 
 app.use('/auth', apiLimiter);
+app.use('/admin', adminLimiter);
 
 // MongoDB connection with improved options
 const MONGODB_URI = process.env.MONGODB_URI;
@@ -117,6 +232,22 @@ const UserSchema = new mongoose.Schema({
     trim: true,
     maxlength: 50
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Users this account never wants to be matched with again
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Present while the account is banned; no expiresAt means permanent
+  ban: {
+    reason: { type: String, trim: true, maxlength: MAX_BAN_REASON_LENGTH },
+    bannedAt: { type: Date },
+    expiresAt: { type: Date }
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -134,34 +265,264 @@ const MessageSchema = new mongoose.Schema({
     ref: 'User', 
     required: true 
   },
+  type: {
+    type: String,
+    enum: MESSAGE_TYPES,
+    default: 'text'
+  },
   content: { 
     type: String, 
-    required: true,
+    required: function () { return this.type === 'text' && !this.deletedAt; },
     maxlength: MAX_MESSAGE_LENGTH
   },
+  // Stored file for image messages, served from /chat/images
+  image: {
+    fileName: String,
+    mimeType: String
+  },
+  // Earlier message in the same room that this one replies to
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // One entry per user and emoji
+  reactions: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    emoji: { type: String, enum: REACTION_EMOJIS }
+  }],
+  editedAt: { type: Date },
+  // Set when the sender unsends the message; its content is removed
+  deletedAt: { type: Date },
   timestamp: { type: Date, default: Date.now }
 });
 
 // Auto-delete messages after 24h
-MessageSchema.index({ timestamp: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+MessageSchema.index({ timestamp: 1 }, { expireAfterSeconds: MESSAGE_TTL_MS / 1000 });
 // Compound index for room queries
 MessageSchema.index({ roomId: 1, timestamp: -1 });
 const Message = mongoose.model('Message', MessageSchema);
 
-// Matchmaking queue
-const waitingUsers = []; // FIFO queue
-const activeChats = new Map(); // socket.id -> { partnerId, roomId }
+const ReportSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: REPORT_SOURCES,
+    default: 'user'
+  },
+  // Not set on reports opened by the content filter
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function () { return this.source === 'user'; }
+  },
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  roomId: { type: String, required: true },
+  reason: {
+    type: String,
+    required: true,
+    enum: REPORT_REASONS
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: MAX_REPORT_NOTE_LENGTH
+  },
+  // Copy of the conversation, kept past the Message TTL for moderators
+  messages: [{
+    _id: false,
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    content: String,
+    timestamp: Date
+  }],
+  // Content filter rules that matched, for filter reports
+  flaggedRules: [String],
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: MAX_REPORT_NOTE_LENGTH
+  },
+  resolvedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Moderation queue is listed newest first, usually filtered by status
+ReportSchema.index({ status: 1, createdAt: -1 });
+// Flagged messages from one sender in one room collect on a single open report
+ReportSchema.index({ roomId: 1, reportedUser: 1, source: 1, status: 1 });
+const Report = mongoose.model('Report', ReportSchema);
+
+// Chat partners who both chose to keep in touch. Members stay anonymous to
+// each other; each one labels the other with a private nickname.
+const ConnectionSchema = new mongoose.Schema({
+  // Both member ids, sorted and joined with ':', so a pair is saved only once
+  pairKey: { type: String, required: true, unique: true },
+  members: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // What this member calls the other one
+    nickname: { type: String, trim: true, maxlength: MAX_NICKNAME_LENGTH, default: '' }
+  }],
+  lastChatAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Each user's connections are listed on their connections screen
+ConnectionSchema.index({ 'members.user': 1 });
+const Connection = mongoose.model('Connection', ConnectionSchema);
+
+// Login sessions. Only a hash of the refresh token is stored, and it rotates
+// on every /auth/refresh.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: { type: String, required: true },
+  // The hash this one replaced, accepted until REFRESH_REUSE_GRACE_MS after rotatedAt
+  previousTokenHash: { type: String },
+  rotatedAt: { type: Date },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const Session = mongoose.model('Session', SessionSchema);
+
+// Issued magic links. Each link's `jti` can be exchanged for a session once.
+const MagicLinkSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  // The 6-digit code sent alongside the link, for logging in on another device
+  codeHash: { type: String, required: true },
+  codeAttempts: { type: Number, default: 0 },
+  usedAt: { type: Date },
+  expiresAt: { type: Date, required: true }
+});
+
+// Links are removed once they can no longer be used
+MagicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// /auth/verify-code checks the newest link sent to an address
+MagicLinkSchema.index({ email: 1, expiresAt: -1 });
+const MagicLink = mongoose.model('MagicLink', MagicLinkSchema);
+
+// Matchmaking state: the waiting queue, active chats (keyed by userId),
+// reconnect grace periods, recent matches, lobby members, pending offers and
+// socket rate limits. Kept in this process by default; with REDIS_URL set it
+// lives in Redis and the socket.io adapter relays events, so several
+// instances share one pool.
+const { store, adapter } = await createStore(process.env.REDIS_URL);
+if (adapter) {
+  io.adapter(adapter);
+  console.log('Using Redis for shared matchmaking state');
+}
+
+// Images sent in chat. Kept on local disk for as long as their messages;
+// every instance needs the same UPLOAD_DIR.
+const imageStore = createImageStore({ dir: process.env.UPLOAD_DIR || 'uploads', ttlMs: MESSAGE_TTL_MS });
 
-// Helper: verify JWT
+// Helper: verify a session JWT. Magic-link tokens are only accepted by
+// /auth/verify-token, which exchanges them for a session.
 function verifyToken(token) {
   try {
     if (!token || typeof token !== 'string') return null;
-    return jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'session' ? decoded : null;
   } catch (err) {
     return null;
   }
 }
 
+// Helper: finish a login for a verified email address: find or create the
+// user, refuse banned accounts, and respond with a new session's tokens
+async function respondWithNewSession(res, email) {
+  let user = await User.findOne({ email });
+  if (!user) {
+    user = await User.create({ email, displayName: sanitizeInput(email.split('@')[0], 50) });
+  }
+
+  const ban = getActiveBan(user);
+  if (ban) {
+    return res.status(403).json({
+      error: 'This account has been banned.',
+      banned: true,
+      ...ban
+    });
+  }
+
+  const { sessionToken, refreshToken } = await createSession(user);
+  console.log(`Session started for ${user.displayName}`);
+
+  res.status(200).json({
+    email: user.email,
+    displayName: user.displayName,
+    sessionToken,
+    refreshToken
+  });
+}
+
+// Helper: whether a session still exists. Logging out deletes it, which
+// also invalidates its not-yet-expired session tokens.
+async function isSessionActive(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  return !!(await Session.exists({ _id: sessionId, expiresAt: { $gt: new Date() } }));
+}
+
+// Helper: SHA-256 of a refresh token, as stored on its session
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Helper: hash of an emailed login code, salted with its link's jti
+function hashLoginCode(jti, code) {
+  return hashToken(`${jti}:${code}`);
+}
+
+// Helper: new refresh token. The session id prefix lets /auth/refresh find
+// the session; the random part is the secret.
+function createRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// Helper: sign the short-lived session token for a user's session
+function signSessionToken(user, sessionId) {
+  return jwt.sign(
+    {
+      type: 'session',
+      sid: sessionId.toString(),
+      email: user.email,
+      displayName: user.displayName
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: SESSION_TOKEN_TTL }
+  );
+}
+
+// Helper: start a session for a user and return its first token pair
+async function createSession(user) {
+  const session = new Session({
+    user: user._id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  const refreshToken = createRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { sessionToken: signSessionToken(user, session._id), refreshToken };
+}
+
 // Helper: sanitize string input
 function sanitizeInput(str, maxLength = 1000) {
   if (typeof str !== 'string') return '';
@@ -173,371 +534,2746 @@ function isValidEmail(email) {
   return typeof email === 'string' && EMAIL_REGEX.test(email.toLowerCase().trim());
 }
 
-// Socket rate limiting map
-const socketRateLimits = new Map();
-
-function checkSocketRateLimit(socketId, action, maxPerMinute = 60) {
-  const key = `${socketId}:${action}`;
-  const now = Date.now();
-  const windowMs = 60000; // 1 minute
-
-  if (!socketRateLimits.has(key)) {
-    socketRateLimits.set(key, { count: 1, windowStart: now });
-    return true;
-  }
-
-  const limit = socketRateLimits.get(key);
-  
-  if (now - limit.windowStart > windowMs) {
-    // Reset window
-    socketRateLimits.set(key, { count: 1, windowStart: now });
-    return true;
-  }
-
-  if (limit.count >= maxPerMinute) {
-    return false;
-  }
+// Helper: normalize interest tags sent with `search`
+function sanitizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  const normalized = tags
+    .map((tag) => sanitizeInput(tag, MAX_TAG_LENGTH).toLowerCase().replace(/\s+/g, ' '))
+    .filter(Boolean);
+  return [...new Set(normalized)].slice(0, MAX_INTEREST_TAGS);
+}
 
-  limit.count++;
-  return true;
+// Helper: return the user's ban if it is still in effect
+function getActiveBan(user) {
+  const ban = user?.ban;
+  if (!ban?.bannedAt) return null;
+  if (ban.expiresAt && ban.expiresAt <= new Date()) return null;
+  return {
+    reason: ban.reason || 'Violation of the Terms of Service',
+    expiresAt: ban.expiresAt ?? null
+  };
 }
 
-// Clean up rate limit entries periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of socketRateLimits.entries()) {
-    if (now - value.windowStart > 120000) { // 2 minutes
-      socketRateLimits.delete(key);
-    }
-  }
-}, 60000); // Every minute
+// Helper: string id of the user behind a socket
+function getUserId(socket) {
+  return socket.user?._id.toString() ?? null;
+}
 
-// Socket.io connection
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+// Every authenticated socket joins a personal room, so events can target a
+// user across tabs and reconnects instead of a single socket id
+function userRoom(userId) {
+  return `user:${userId}`;
+}
 
-  // Authenticate user
-  socket.on('login', async ({ token }) => {
-    const userData = verifyToken(token);
-    if (!userData) {
-      socket.emit('unauthorized');
-      return socket.disconnect();
-    }
+// Sockets also join a room per login session, so logout can reach them
+function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
 
-    try {
-      const email = userData.email?.toLowerCase().trim();
-      const displayName = sanitizeInput(userData.displayName, 50);
+// Helper: chat the socket's user is currently in
+async function getChat(socket) {
+  const userId = getUserId(socket);
+  return userId ? store.getChat(userId) : null;
+}
 
-      if (!isValidEmail(email)) {
-        socket.emit('unauthorized');
-        return socket.disconnect();
-      }
+// Helper: whether a user has a live socket on any instance
+async function isUserOnline(userId) {
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  return sockets.length > 0;
+}
 
-      // Find or create user in the database
-      let user = await User.findOne({ email });
-      if (!user) {
-        user = new User({ email, displayName });
-        await user.save();
-      }
+// Helper: disconnect every live socket belonging to a user, on any instance
+function disconnectUserSockets(userId, event, payload) {
+  const room = userRoom(userId.toString());
+  io.to(room).emit(event, payload);
+  io.in(room).disconnectSockets(true);
+}
 
-      // Store user info on the socket object for later use
-      socket.user = user;
-      console.log(`User ${user.displayName} authenticated with socket ${socket.id}`);
+// Helper: constant-time string comparison for secrets
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
 
-      // Confirm successful login to the client
-      socket.emit('loginSuccess', {
-        user: {
-          id: user._id,
-          displayName: user.displayName,
-          email: user.email
-        }
-      });
+// Helper: require a logged-in, unbanned user on chat routes. Takes the
+// session token as a bearer token and sets req.user.
+async function requireSession(req, res, next) {
+  const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const userData = verifyToken(bearer);
+  if (!isValidEmail(userData?.email)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
 
-    } catch (error) {
-      console.error('Error during login process:', error);
-      socket.emit('unauthorized');
-      socket.disconnect();
+  try {
+    if (!(await isSessionActive(userData.sid))) {
+      return res.status(401).json({ error: 'Unauthorized' });
     }
-  });
 
-  // Handle search for partner
-  socket.on('search', () => {
-    if (!socket.user) {
-      socket.emit('unauthorized');
-      return;
-    }
+    const user = await User.findOne({ email: userData.email.toLowerCase().trim() })
+      .select('email displayName ban')
+      .lean();
 
-    // Rate limit search requests
-    if (!checkSocketRateLimit(socket.id, 'search', 10)) {
-      console.log('Search rate limit exceeded for:', socket.user.displayName);
-      return;
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' });
     }
-
-    console.log('User searching:', socket.user.displayName);
-
-    // Prevent duplicate queue entries
-    if (waitingUsers.some(s => s.id === socket.id)) {
-      socket.emit('searching');
-      return;
+    if (getActiveBan(user)) {
+      return res.status(403).json({ error: 'This account has been banned.' });
     }
 
-    // Find a partner with a different email address
-    const partnerIndex = waitingUsers.findIndex(
-      (waitingSocket) => waitingSocket.user.email !== socket.user.email
-    );
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error checking session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
 
-    if (partnerIndex !== -1) {
-      // A suitable partner was found, remove them from the queue
-      const [partnerSocket] = waitingUsers.splice(partnerIndex, 1);
+// Helper: require an admin on moderation routes.
+// Accepts either the ADMIN_TOKEN or the login JWT of a user with the admin role.
+async function requireAdmin(req, res, next) {
+  const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!bearer) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
 
-      const roomId = `room-${socket.id}-${partnerSocket.id}`;
-      socket.join(roomId);
-      partnerSocket.join(roomId);
+  if (process.env.ADMIN_TOKEN && safeEqual(bearer, process.env.ADMIN_TOKEN)) {
+    req.admin = { via: 'token' };
+    return next();
+  }
 
-      activeChats.set(socket.id, { partnerId: partnerSocket.id, roomId });
-      activeChats.set(partnerSocket.id, { partnerId: socket.id, roomId });
+  const userData = verifyToken(bearer);
+  if (!isValidEmail(userData?.email)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
 
-      // Notify both users
-      socket.emit('matched', { roomId });
-      partnerSocket.emit('matched', { roomId });
-      console.log(`Matched ${socket.user.displayName} with ${partnerSocket.user.displayName} in ${roomId}`);
-    } else {
-      // No suitable partner found. Add the current user to the queue.
-      waitingUsers.push(socket);
-      socket.emit('searching');
-      console.log('User added to waiting queue:', socket.user.displayName);
+  try {
+    if (!(await isSessionActive(userData.sid))) {
+      return res.status(401).json({ error: 'Unauthorized' });
     }
-  });
 
-  // Stop searching
-  socket.on('stopSearch', () => {
-    const index = waitingUsers.findIndex(s => s.id === socket.id);
-    if (index !== -1) waitingUsers.splice(index, 1);
-    socket.emit('searchStopped');
-    console.log('User stopped searching:', socket.user?.displayName);
-  });
+    const user = await User.findOne({ email: userData.email.toLowerCase().trim() })
+      .select('email displayName role ban')
+      .lean();
 
-  // Send message
-  socket.on('sendMessage', async ({ content }) => {
-    // Rate limit messages
-    if (!checkSocketRateLimit(socket.id, 'message', 30)) {
-      console.log('Message rate limit exceeded for:', socket.user?.displayName);
-      return;
+    if (user?.role !== 'admin' || getActiveBan(user)) {
+      return res.status(403).json({ error: 'Forbidden' });
     }
 
-    const chatInfo = activeChats.get(socket.id);
-    
-    // Validate content
-    if (!chatInfo || !socket.user) {
-      return;
-    }
+    req.admin = { via: 'user', user };
+    next();
+  } catch (error) {
+    console.error('Error checking admin access:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
 
-    if (typeof content !== 'string') {
-      console.error(`Invalid message type from socket ${socket.id}`);
-      return;
-    }
+// Helper: snapshot of the matchmaking queue
+async function listWaitingUsers() {
+  const queue = await store.getQueue();
+  return queue.map(({ socketId, userId, displayName, email, searchingSince, tags }) => ({
+    socketId,
+    userId,
+    displayName,
+    email,
+    searchingSince,
+    tags
+  }));
+}
 
-    const sanitizedContent = sanitizeInput(content, MAX_MESSAGE_LENGTH);
-    
-    if (sanitizedContent.length === 0) {
-      console.error(`Empty message from socket ${socket.id}`);
-      return;
+// Helper: snapshot of active rooms, one entry per room
+async function listActiveChats() {
+  const rooms = new Map();
+
+  for (const { userId, roomId, startedAt, displayName, email } of await store.listChats()) {
+    if (!rooms.has(roomId)) {
+      rooms.set(roomId, { roomId, startedAt, members: [] });
     }
+    rooms.get(roomId).members.push({
+      userId,
+      displayName,
+      email,
+      reconnecting: (await store.getReconnecting(userId)) !== null
+    });
+  }
 
-    const { roomId } = chatInfo;
+  return [...rooms.values()];
+}
 
-    try {
-      // Save message in DB
-      await Message.create({ 
-        roomId, 
-        sender: socket.user._id, 
-        content: sanitizedContent 
-      });
+// Helper: live state pushed to the admin console, across all instances
+async function buildAdminSnapshot() {
+  const [sockets, waiting, chats] = await Promise.all([
+    io.fetchSockets(),
+    listWaitingUsers(),
+    listActiveChats()
+  ]);
+  return { activeConnections: sockets.length, waiting, chats };
+}
 
-      // Emit to partner
-      socket.to(roomId).emit('receiveMessage', {
-        sender: socket.user._id,
-        content: sanitizedContent,
-        timestamp: Date.now()
-      });
-      console.log(`Message sent in room ${roomId}`);
+// Push live state to subscribed admin consoles, at most twice a second
+let adminUpdateTimer = null;
+function notifyAdmins() {
+  if (adminUpdateTimer) return;
+  adminUpdateTimer = setTimeout(async () => {
+    adminUpdateTimer = null;
+    try {
+      io.to(ADMIN_ROOM).emit('adminUpdate', await buildAdminSnapshot());
     } catch (error) {
-      console.error('Error saving or sending message:', error);
+      console.error('Error building admin snapshot:', error);
     }
-  });
-
-  // End chat
-  socket.on('endChat', () => {
-    const chatInfo = activeChats.get(socket.id);
-    if (chatInfo) {
-      const { roomId, partnerId } = chatInfo;
-
-      socket.to(roomId).emit('partnerDisconnected');
-      socket.leave(roomId);
-      io.sockets.sockets.get(partnerId)?.leave(roomId);
+  }, 500);
+}
 
-      activeChats.delete(socket.id);
-      activeChats.delete(partnerId);
-      console.log(`Chat ended in room ${roomId}`);
+// Helper: forget a room's chat entries and reconnect grace periods. Entries
+// are only removed while they still point at this room.
+async function removeChat(roomId, memberIds) {
+  await store.withLock(async () => {
+    for (const userId of memberIds) {
+      if ((await store.getChat(userId))?.roomId !== roomId) continue;
+      await store.deleteChat(userId);
+      await store.clearReconnecting(userId);
     }
   });
+  io.in(roomId).socketsLeave(roomId);
+  await store.deleteOffer(revealKey(roomId));
+  await store.deleteOffer(saveKey(roomId));
+  await sendAgreedTranscript(roomId);
+}
 
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
+// Helper: tear down the chat a socket is in and notify the partner
+async function endActiveChat(socket) {
+  const chatInfo = await getChat(socket);
+  if (!chatInfo) return null;
 
-    // Clean up rate limits for this socket
-    for (const key of socketRateLimits.keys()) {
-      if (key.startsWith(socket.id)) {
-        socketRateLimits.delete(key);
-      }
-    }
+  const { roomId, partnerId } = chatInfo;
 
-    // Remove from waiting queue
-    const index = waitingUsers.findIndex(s => s.id === socket.id);
-    if (index !== -1) waitingUsers.splice(index, 1);
+  io.to(userRoom(partnerId)).emit('partnerDisconnected');
+  await removeChat(roomId, [getUserId(socket), partnerId]);
+  console.log(`Chat ended in room ${roomId}`);
+  notifyAdmins();
+  return chatInfo;
+}
 
-    // Handle active chat
-    const chatInfo = activeChats.get(socket.id);
-    if (chatInfo) {
-      const { roomId, partnerId } = chatInfo;
-      socket.to(roomId).emit('partnerDisconnected');
-      activeChats.delete(socket.id);
-      activeChats.delete(partnerId);
-    }
-  });
-});
+// Helper: end a room on behalf of a moderator, notifying both members
+async function endRoom(roomId) {
+  const memberIds = (await store.listChats())
+    .filter((chat) => chat.roomId === roomId)
+    .map((chat) => chat.userId);
+  if (memberIds.length === 0) return false;
 
-// Health check
-app.get('/health', (req, res) => {
-  const mongoStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
-  res.json({ 
-    status: 'ok', 
-    timestamp: new Date().toISOString(),
-    mongodb: mongoStatus,
-    activeConnections: io.engine.clientsCount,
-    waitingQueue: waitingUsers.length,
-    activeChats: activeChats.size / 2
-  });
-});
+  for (const userId of memberIds) {
+    io.to(userRoom(userId)).emit('partnerDisconnected');
+  }
+  await removeChat(roomId, memberIds);
+  console.log(`Chat force-ended in room ${roomId}`);
+  notifyAdmins();
+  return true;
+}
 
-// Email verification and magic link generation
-app.post('/auth/magic-link', magicLinkLimiter, async (req, res) => {
-  const { email } = req.body;
+// Helper: the fields of a stored message that clients see
+function serializeMessage(msg) {
+  return {
+    id: msg._id,
+    type: msg.type ?? 'text',
+    content: msg.content,
+    imageUrl: msg.image?.fileName ? `/chat/images/${msg.image.fileName}` : undefined,
+    replyTo: msg.replyTo ?? undefined,
+    editedAt: msg.editedAt?.getTime(),
+    deleted: msg.deletedAt ? true : undefined,
+    timestamp: msg.timestamp.getTime()
+  };
+}
 
-  // Validate email
-  if (!email || typeof email !== 'string') {
-    return res.status(400).json({ error: 'Email is required.' });
+// Helper: query matching a message the socket's user may still edit or
+// unsend: their own, in their current room, not unsent, and inside the window
+function editableMessageFilter(socket, roomId, messageId) {
+  return {
+    _id: messageId,
+    roomId,
+    sender: socket.user._id,
+    deletedAt: null,
+    timestamp: { $gte: new Date(Date.now() - MESSAGE_EDIT_WINDOW_MS) }
+  };
+}
+
+// Helper: reactions on a message grouped by emoji, as seen by one user
+function summarizeReactions(reactions = [], viewerId) {
+  const summary = [];
+  for (const { user, emoji } of reactions) {
+    let entry = summary.find((item) => item.emoji === emoji);
+    if (!entry) {
+      entry = { emoji, count: 0, mine: false };
+      summary.push(entry);
+    }
+    entry.count++;
+    entry.mine ||= user.equals(viewerId);
   }
+  return summary;
+}
 
-  const normalizedEmail = email.toLowerCase().trim();
+// Store key of a room's transcript request. The value is { requesterId,
+// partnerId, startedAt, accepted }; it lives until the chat ends once accepted.
+function transcriptKey(roomId) {
+  return `transcript:${roomId}`;
+}
 
-  if (!isValidEmail(normalizedEmail)) {
-    return res.status(400).json({ error: 'Invalid email domain. Only @usc.edu.ph emails are allowed.' });
-  }
+// Helper: a room's transcript request as one member sees it
+function transcriptStatus(request, userId) {
+  if (!request) return null;
+  if (request.accepted) return 'agreed';
+  return request.requesterId === userId ? 'requested' : 'incoming';
+}
 
-  // Generate a short-lived JWT (15 minutes)
-  const displayName = normalizedEmail.split('@')[0];
-  const token = jwt.sign(
-    { email: normalizedEmail, displayName },
-    process.env.JWT_SECRET,
-    { expiresIn: '15m' }
-  );
+// Helper: plain text and JSON transcripts of a room's messages, from one
+// member's side. Senders are "You" and "Stranger"; user ids are left out.
+function buildTranscript(messages, viewerId, { startedAt, endedAt }) {
+  const label = (userId) => (userId.equals(viewerId) ? 'You' : 'Stranger');
+  const indexById = new Map(messages.map((msg, i) => [msg._id.toString(), i + 1]));
+  const describe = (msg) => {
+    if (msg.deletedAt) return '(message removed)';
+    if (msg.type === 'image') return '[image]';
+    return msg.content;
+  };
+
+  const entries = messages.map((msg, i) => ({
+    index: i + 1,
+    sender: label(msg.sender),
+    type: msg.type ?? 'text',
+    content: msg.deletedAt || msg.type === 'image' ? null : msg.content,
+    removed: msg.deletedAt ? true : undefined,
+    replyTo: msg.replyTo ? indexById.get(msg.replyTo.toString()) ?? null : undefined,
+    reactions: msg.reactions?.length
+      ? msg.reactions.map((reaction) => ({ emoji: reaction.emoji, sender: label(reaction.user) }))
+      : undefined,
+    timestamp: msg.timestamp.toISOString(),
+    editedAt: msg.editedAt?.toISOString()
+  }));
+
+  const formatTime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+  const lines = messages.map((msg) => {
+    const original = msg.replyTo && messages[indexById.get(msg.replyTo.toString()) - 1];
+    const reply = original ? ` (replying to ${label(original.sender)}: "${describe(original).slice(0, 40)}")` : '';
+    const edited = msg.editedAt && !msg.deletedAt ? ' (edited)' : '';
+    return `[${formatTime(msg.timestamp)}] ${label(msg.sender)}${reply}: ${describe(msg)}${edited}`;
+  });
 
-  // Create the magic link
-  const magicLink = `${process.env.CLIENT_URL}/auth?token=${token}`;
+  const text = [
+    'USChika chat transcript',
+    `Started: ${formatTime(startedAt)} UTC`,
+    `Ended: ${formatTime(endedAt)} UTC`,
+    '',
+    ...(lines.length > 0 ? lines : ['(no messages)']),
+    ''
+  ].join('\n');
+
+  return {
+    text,
+    json: {
+      startedAt: startedAt.toISOString(),
+      endedAt: endedAt.toISOString(),
+      messages: entries
+    }
+  };
+}
 
-  // Send the magic link via email
-  const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
-
-  try {
-    await transporter.sendMail({
-      from: process.env.EMAIL_USER,
-      to: normalizedEmail,
-      subject: 'USChika Magic Link',
-      html: `<body style="margin:0; padding:0; background-color:#f4f4f4; font-family: Arial, Helvetica, sans-serif;">
-  <table width="100%" cellpadding="0" cellspacing="0" style="padding:40px 0;">
-    <tr>
-      <td align="center">
-        <table width="100%" cellpadding="0" cellspacing="0" style="max-width:420px; background-color:#ffffff; border-radius:8px; padding:32px; box-shadow:0 4px 12px rgba(0,0,0,0.08);">
-          <tr>
-            <td align="center" style="padding-bottom:20px; color:#333333; font-size:16px;">
-              Click the button below to log in:
-            </td>
-          </tr>
-          <tr>
-            <td align="center" style="padding-bottom:28px;">
-              <a 
-                href="${magicLink}" 
-                style="
-                  display:inline-block;
-                  padding:12px 24px;
-                  background-color:#7ed957;
-                  color:#ffffff;
-                  text-decoration:none;
-                  border-radius:6px;
-                  font-size:15px;
-                  font-weight:600;
-                "
-              >
-                Log In
-              </a>
-            </td>
-          </tr>
-          <tr>
-            <td align="center" style="padding-bottom:24px; font-size:13px; color:#666666;">
-              Or copy and paste this link into your browser:<br />
-              <a href="${magicLink}" style="color:#000000; word-break:break-all;">
-                ${magicLink}
-              </a>
-            </td>
-          </tr>
-          <tr>
-            <td align="center" style="font-size:12px; color:#999999; line-height:1.5;">
-              If you did not request this login link, you can safely ignore this email.<br />
-              This link expires in 15 minutes.
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>`
-    });
+// Helper: when both members agreed to save a chat, send each of them the
+// transcript once it ends. Pending requests are simply dropped.
+async function sendAgreedTranscript(roomId) {
+  const request = await store.takeOffer(transcriptKey(roomId));
+  if (!request?.accepted) return;
 
-    res.status(200).json({ message: 'Magic link sent successfully.' });
+  try {
+    const messages = await Message.find({ roomId }).sort({ timestamp: 1 }).lean();
+    const startedAt = new Date(request.startedAt);
+    const endedAt = new Date();
+    const fileName = `uschika-chat-${endedAt.toISOString().slice(0, 16).replace(/[T:]/g, '-')}`;
+
+    for (const userId of [request.requesterId, request.partnerId]) {
+      io.to(userRoom(userId)).emit('transcriptReady', {
+        fileName,
+        ...buildTranscript(messages, new mongoose.Types.ObjectId(userId), { startedAt, endedAt })
+      });
+    }
+    console.log(`Transcript sent for room ${roomId}`);
   } catch (error) {
-    console.error('Error sending email:', error);
-    res.status(500).json({ error: 'Failed to send magic link.' });
+    console.error('Error sending chat transcript:', error);
   }
-});
+}
 
-// Verify the magic link token
-app.post('/auth/verify-token', (req, res) => {
-  const { token } = req.body;
+// Store key of a room's identity reveal. The value is { optIns: { [userId]:
+// { displayName, contact } }, revealed }; it lives as long as the chat.
+function revealKey(roomId) {
+  return `reveal:${roomId}`;
+}
 
-  if (!token || typeof token !== 'string') {
-    return res.status(400).json({ error: 'Token is required.' });
-  }
+// Helper: a room's identity reveal as one member sees it. `partner` is only
+// set once both have opted in.
+function revealState(reveal, userId, partnerId) {
+  if (!reveal) return { status: null, partner: null };
+  if (reveal.revealed) return { status: 'revealed', partner: reveal.optIns[partnerId] };
+  if (reveal.optIns[userId]) return { status: 'waiting', partner: null };
+  return { status: reveal.optIns[partnerId] ? 'incoming' : null, partner: null };
+}
+
+// Store key of a room's requests to save each other as connections. The
+// value is { optIns: [userId] }; it lives as long as the chat.
+function saveKey(roomId) {
+  return `save:${roomId}`;
+}
+
+// Store key of an open invite to a direct chat. The value is { fromId }.
+function inviteKey(connectionId) {
+  return `invite:${connectionId}`;
+}
+
+// Helper: a chat's connection state as one member sees it. Direct chats
+// between saved connections start out saved.
+function connectionStatus(chatInfo, save, userId) {
+  if (chatInfo.connectionId || save?.optIns.length === 2) return 'saved';
+  if (save?.optIns.includes(userId)) return 'waiting';
+  return save?.optIns.length ? 'incoming' : null;
+}
+
+// Helper: sort key shared by both orders of a pair of users
+function connectionPairKey(userIdA, userIdB) {
+  return [userIdA.toString(), userIdB.toString()].sort().join(':');
+}
+
+// Helper: a connection the user belongs to, or null
+async function findConnection(connectionId, userId) {
+  if (!mongoose.isValidObjectId(connectionId)) return null;
+  return Connection.findOne({ _id: connectionId, 'members.user': userId }).lean();
+}
+
+// Helper: split a connection into the user's own member entry and the other one
+function connectionMembers(connection, userId) {
+  const me = connection.members.find((member) => member.user.equals(userId));
+  const other = connection.members.find((member) => !member.user.equals(userId));
+  return { me, other };
+}
+
+// Helper: a connection as its member sees it. The other member's id is never sent.
+function serializeConnection(connection, userId, online) {
+  return {
+    id: connection._id,
+    nickname: connectionMembers(connection, userId).me.nickname,
+    online,
+    lastChatAt: connection.lastChatAt ?? null,
+    createdAt: connection.createdAt
+  };
+}
+
+// Helper: tell a user's saved connections that they came online or went offline
+async function notifyConnectionsOfPresence(userId, online) {
+  try {
+    const connections = await Connection.find({ 'members.user': userId }).lean();
+    for (const connection of connections) {
+      const { other } = connectionMembers(connection, userId);
+      io.to(userRoom(other.user.toString())).emit('connectionPresence', {
+        connectionId: connection._id,
+        nickname: other.nickname,
+        online
+      });
+    }
+  } catch (error) {
+    console.error('Error sending connection presence:', error);
+  }
+}
+
+// Helper: tell saved connections a user came online, on their first socket only
+async function announceOnline(userId) {
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  if (sockets.length === 1) {
+    await notifyConnectionsOfPresence(userId, true);
+  }
+}
+
+// Helper: socket.io room of a topic lobby, also the roomId of its messages
+function lobbyRoom(lobbyId) {
+  return `lobby:${lobbyId}`;
+}
+
+// Helper: a member's name in a lobby. Stable for the same user and lobby,
+// but it can't be traced back to the account or matched across lobbies.
+function lobbyAlias(lobbyId, userId) {
+  const hash = crypto.createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${lobbyId}:${userId}`)
+    .digest('hex');
+  return `Anon ${hash.slice(0, 4).toUpperCase()}`;
+}
+
+// Helper: a lobby with its current member count
+async function describeLobby(lobby) {
+  const members = await store.listLobbyMembers(lobby.id);
+  return { ...lobby, count: members.length, capacity: LOBBY_CAPACITY };
+}
+
+// Helper: the lobby a user is in, if any
+async function findUserLobby(userId) {
+  for (const lobby of LOBBIES) {
+    if ((await store.listLobbyMembers(lobby.id)).includes(userId)) return lobby;
+  }
+  return null;
+}
+
+// Helper: the fields of a lobby message that clients see
+function serializeLobbyMessage(msg, lobbyId) {
+  return {
+    id: msg._id,
+    lobbyId,
+    alias: lobbyAlias(lobbyId, msg.sender),
+    content: msg.content,
+    timestamp: msg.timestamp.getTime()
+  };
+}
+
+// Push lobby member counts to every client, at most once a second
+let lobbyCountsTimer = null;
+function broadcastLobbyCounts() {
+  if (lobbyCountsTimer) return;
+  lobbyCountsTimer = setTimeout(async () => {
+    lobbyCountsTimer = null;
+    try {
+      io.emit('lobbyCounts', { lobbies: await Promise.all(LOBBIES.map(describeLobby)) });
+    } catch (error) {
+      console.error('Error sending lobby counts:', error);
+    }
+  }, 1000);
+}
+
+// Helper: take a user out of a lobby and tell the members who remain
+async function leaveLobby(lobbyId, userId) {
+  if (!(await store.removeLobbyMember(lobbyId, userId))) return;
+
+  io.in(userRoom(userId)).socketsLeave(lobbyRoom(lobbyId));
+  const { count } = await describeLobby({ id: lobbyId });
+  io.to(lobbyRoom(lobbyId)).emit('lobbyMemberLeft', { lobbyId, alias: lobbyAlias(lobbyId, userId), count });
+  broadcastLobbyCounts();
+}
+
+// Helper: put a re-authenticated socket back into its chat and replay history
+async function resumeChat(socket) {
+  const userId = getUserId(socket);
+  const chatInfo = await store.getChat(userId);
+  if (!chatInfo) return;
+
+  const { roomId, partnerId, sharedTags, connectionId = null } = chatInfo;
+
+  if (await store.clearReconnecting(userId)) {
+    io.to(userRoom(partnerId)).emit('partnerReconnected');
+    console.log(`User ${socket.user.displayName} rejoined room ${roomId}`);
+    notifyAdmins();
+  }
+
+  socket.join(roomId);
+
+  const [history, partnerDeadline, transcriptRequest, reveal, save] = await Promise.all([
+    Message.find({ roomId })
+      .sort({ timestamp: -1 })
+      .limit(RESUME_HISTORY_LIMIT)
+      .lean(),
+    store.getReconnecting(partnerId),
+    store.getOffer(transcriptKey(roomId)),
+    store.getOffer(revealKey(roomId)),
+    store.getOffer(saveKey(roomId))
+  ]);
+
+  socket.emit('chatResumed', {
+    roomId,
+    sharedTags,
+    connectionId,
+    partnerStatus: partnerDeadline !== null ? 'reconnecting' : 'connected',
+    transcript: transcriptStatus(transcriptRequest, userId),
+    reveal: revealState(reveal, userId, partnerId),
+    connection: connectionStatus(chatInfo, save, userId),
+    messages: history.reverse().map((msg) => ({
+      ...serializeMessage(msg),
+      reactions: summarizeReactions(msg.reactions, socket.user._id),
+      mine: msg.sender.equals(socket.user._id)
+    }))
+  });
+}
+
+// Helper: start the grace period after a user's last socket drops mid-chat.
+// The matchmaking sweep ends the chat once the deadline passes.
+async function holdChatForReconnect(userId) {
+  const chatInfo = await store.getChat(userId);
+  if (!chatInfo || (await store.getReconnecting(userId)) !== null) return;
+
+  io.to(userRoom(chatInfo.partnerId)).emit('partnerReconnecting');
+  await store.setReconnecting(userId, Date.now() + RECONNECT_GRACE_MS);
+  notifyAdmins();
+}
+
+// Helper: end chats whose member did not come back within the grace period
+async function expireReconnects() {
+  for (const userId of await store.listExpiredReconnects(Date.now())) {
+    // Every instance sweeps; only the one that clears the entry ends the chat
+    if (!(await store.clearReconnecting(userId))) continue;
+
+    const chatInfo = await store.getChat(userId);
+    if (!chatInfo) continue;
+
+    const { roomId, partnerId } = chatInfo;
+    io.to(userRoom(partnerId)).emit('partnerDisconnected');
+    await removeChat(roomId, [userId, partnerId]);
+    console.log(`Reconnect grace period expired in room ${roomId}`);
+    notifyAdmins();
+  }
+}
+
+// Helper: attach a message the content filter flagged to the open filter
+// report for its sender and room, creating the report on the first flag.
+// Keeps the text as typed, before any masking, for moderators.
+async function flagMessage(message, content, flagged) {
+  const category = flagged.map((flag) => flag.category).find((c) => REPORT_REASONS.includes(c));
+
+  try {
+    await Report.findOneAndUpdate(
+      { roomId: message.roomId, reportedUser: message.sender, source: 'filter', status: 'open' },
+      {
+        $setOnInsert: { reason: category ?? 'other', createdAt: new Date() },
+        // Keep only the latest flagged messages, like a partner report's snapshot
+        $push: {
+          messages: {
+            $each: [{ sender: message.sender, content, timestamp: message.timestamp }],
+            $slice: -REPORT_SNAPSHOT_SIZE
+          }
+        },
+        $addToSet: { flaggedRules: { $each: flagged.map((flag) => flag.ruleId) } }
+      },
+      { upsert: true }
+    );
+    io.to(ADMIN_ROOM).emit('adminReportsChanged');
+    console.log(`Message flagged in room ${message.roomId}`);
+  } catch (error) {
+    console.error('Error recording flagged message:', error);
+  }
+}
+
+// Helper: what the shared queue needs to know about a searching socket
+function toQueueEntry(socket, tags) {
+  return {
+    socketId: socket.id,
+    userId: getUserId(socket),
+    displayName: socket.user.displayName,
+    email: socket.user.email,
+    blockedUsers: (socket.user.blockedUsers ?? []).map((id) => id.toString()),
+    tags: sanitizeTags(tags),
+    searchingSince: Date.now()
+  };
+}
+
+// Helper: tags two queue entries have in common
+function getSharedTags(a, b) {
+  const tagsB = new Set(b.tags);
+  return a.tags.filter((tag) => tagsB.has(tag));
+}
+
+// Helper: whether two queue entries may ever be paired: different accounts,
+// neither has blocked the other, and they haven't just chatted.
+// `recent` holds the user ids `a` was matched with within RECENT_MATCH_TTL_MS.
+function canPair(a, b, recent) {
+  return a.email !== b.email
+    && !a.blockedUsers.includes(b.userId)
+    && !b.blockedUsers.includes(a.userId)
+    && !recent.includes(b.userId);
+}
+
+// Helper: whether a queue entry will accept a partner with no shared tags
+function acceptsRandomMatch(entry, now = Date.now()) {
+  return entry.tags.length === 0 || now - entry.searchingSince >= TAG_MATCH_WAIT_MS;
+}
+
+// Helper: best waiting partner for a queue entry, or null.
+// Skips partners ruled out by canPair. Prefers the most shared tags, then falls back to the longest-waiting
+// partner once both sides accept a random match.
+function findPartner(entry, queue, recent) {
+  const now = Date.now();
+  let best = null;
+  let bestShared = 0;
+
+  queue.forEach((candidate) => {
+    if (!canPair(entry, candidate, recent)) return;
+    const shared = getSharedTags(entry, candidate).length;
+    if (shared > bestShared) {
+      best = candidate;
+      bestShared = shared;
+    }
+  });
+
+  if (best || !acceptsRandomMatch(entry, now)) {
+    return best;
+  }
+
+  return queue.find(
+    (candidate) => canPair(entry, candidate, recent) && acceptsRandomMatch(candidate, now)
+  ) ?? null;
+}
+
+// Helper: start a chat between two users ({ userId, displayName, email })
+// and notify both. Callers hold the matchmaking lock. `connectionId` is set
+// for direct chats between saved connections.
+async function openRoom(roomId, a, b, { sharedTags = [], connectionId = null } = {}) {
+  const startedAt = Date.now();
+
+  // A one-on-one chat takes over the screen, so drop any open lobby
+  for (const lobby of LOBBIES) {
+    await leaveLobby(lobby.id, a.userId);
+    await leaveLobby(lobby.id, b.userId);
+  }
+
+  // Membership is per user, so every tab of both users joins the room
+  io.in(userRoom(a.userId)).socketsJoin(roomId);
+  io.in(userRoom(b.userId)).socketsJoin(roomId);
+
+  await Promise.all([
+    store.setChat(a.userId, {
+      partnerId: b.userId,
+      roomId,
+      startedAt,
+      sharedTags,
+      connectionId,
+      displayName: a.displayName,
+      email: a.email
+    }),
+    store.setChat(b.userId, {
+      partnerId: a.userId,
+      roomId,
+      startedAt,
+      sharedTags,
+      connectionId,
+      displayName: b.displayName,
+      email: b.email
+    })
+  ]);
+
+  // Notify both users
+  io.to(userRoom(a.userId)).emit('matched', { roomId, sharedTags, connectionId });
+  io.to(userRoom(b.userId)).emit('matched', { roomId, sharedTags, connectionId });
+  notifyAdmins();
+}
+
+// Helper: pair two queue entries in a new room and notify both users.
+// Callers hold the matchmaking lock and have removed both from the queue.
+async function matchUsers(entry, partner) {
+  const roomId = `room-${entry.socketId}-${partner.socketId}`;
+
+  await store.rememberMatch(entry.userId, partner.userId, RECENT_MATCH_TTL_MS);
+  await openRoom(roomId, entry, partner, { sharedTags: getSharedTags(entry, partner) });
+  console.log(`Matched ${entry.displayName} with ${partner.displayName} in ${roomId}`);
+}
+
+// Helper: drop every queue entry of the given users, e.g. when they start a
+// direct chat from another tab. Callers hold the matchmaking lock.
+async function removeUsersFromQueue(userIds) {
+  for (const entry of await store.getQueue()) {
+    if (userIds.includes(entry.userId)) {
+      await store.removeFromQueue(entry.socketId);
+    }
+  }
+}
+
+// Helper: match a socket with a waiting partner, or queue it.
+// Shared by `search` and `next`; callers handle auth and rate limiting.
+async function startSearch(socket, tags) {
+  // Re-check the ban in case it was issued after login, and pick up
+  // blocks made from the user's other tabs
+  try {
+    const current = await User.findById(socket.user._id).select('ban blockedUsers').lean();
+    const ban = getActiveBan(current);
+    if (ban) {
+      socket.emit('banned', ban);
+      return socket.disconnect();
+    }
+    socket.user.blockedUsers = current?.blockedUsers ?? [];
+  } catch (error) {
+    console.error('Error checking ban status:', error);
+    return;
+  }
+
+  console.log('User searching:', socket.user.displayName);
+
+  const entry = toQueueEntry(socket, tags);
+
+  try {
+    // The queue is shared between instances, so read and update it under the lock
+    await store.withLock(async () => {
+      // Already chatting (e.g. from another tab or after a reconnect)
+      if (await store.getChat(entry.userId)) {
+        console.log('User already in a chat:', socket.user.displayName);
+        return;
+      }
+
+      const queue = await store.getQueue();
+
+      // Prevent duplicate queue entries
+      if (queue.some((e) => e.socketId === socket.id)) {
+        socket.emit('searching');
+        return;
+      }
+
+      // Find a partner with a different email address, preferring shared tags
+      const partner = findPartner(entry, queue, await store.getRecentMatches(entry.userId));
+
+      if (partner) {
+        // A suitable partner was found, remove them from the queue
+        await store.removeFromQueue(partner.socketId);
+        await matchUsers(entry, partner);
+      } else {
+        // No suitable partner found. Add the current user to the queue.
+        await store.addToQueue(entry);
+        socket.emit('searching');
+        console.log('User added to waiting queue:', socket.user.displayName);
+        notifyAdmins();
+      }
+    });
+  } catch (error) {
+    console.error('Error during matchmaking:', error);
+  }
+}
+
+// Periodic matchmaking upkeep, run by every instance:
+// - end chats whose reconnect grace period ran out
+// - clean up after instances that went away without running disconnect handlers
+// - pair waiting users whose tag wait has run out, since nobody new may
+//   search to trigger the fallback
+async function sweepMatchmaking() {
+  await expireReconnects();
+
+  const checkedAt = Date.now();
+  const liveSockets = await io.fetchSockets();
+  const liveSocketIds = new Set(liveSockets.map((s) => s.id));
+  const onlineUserIds = new Set(liveSockets.map((s) => s.data.userId).filter(Boolean));
+
+  // Chat members with no socket on any instance get the usual grace period
+  for (const { userId, startedAt } of await store.listChats()) {
+    if (startedAt < checkedAt && !onlineUserIds.has(userId) && !(await isUserOnline(userId))) {
+      await holdChatForReconnect(userId);
+    }
+  }
+
+  await store.withLock(async () => {
+    const waiting = [];
+    for (const entry of await store.getQueue()) {
+      if (liveSocketIds.has(entry.socketId) || entry.searchingSince >= checkedAt) {
+        waiting.push(entry);
+      } else {
+        await store.removeFromQueue(entry.socketId);
+        notifyAdmins();
+      }
+    }
+
+    const now = Date.now();
+    for (let i = 0; i < waiting.length; i++) {
+      const entry = waiting[i];
+      if (!acceptsRandomMatch(entry, now)) continue;
+
+      const recent = await store.getRecentMatches(entry.userId);
+      const partnerIndex = waiting.findIndex((candidate, j) =>
+        j > i && canPair(entry, candidate, recent) && acceptsRandomMatch(candidate, now)
+      );
+      if (partnerIndex === -1) continue;
+
+      const [partner] = waiting.splice(partnerIndex, 1);
+      waiting.splice(i, 1);
+      i--;
+      await store.removeFromQueue(entry.socketId);
+      await store.removeFromQueue(partner.socketId);
+      await matchUsers(entry, partner);
+    }
+  });
+}
+
+let sweepRunning = false;
+setInterval(async () => {
+  if (sweepRunning) return;
+  sweepRunning = true;
+  try {
+    await sweepMatchmaking();
+  } catch (error) {
+    console.error('Error during matchmaking sweep:', error);
+  } finally {
+    sweepRunning = false;
+  }
+}, 5000); // Every 5 seconds
+
+// Delete chat images whose messages have expired
+setInterval(async () => {
+  try {
+    const removed = await imageStore.sweep();
+    if (removed > 0) console.log(`Deleted ${removed} expired chat images`);
+  } catch (error) {
+    console.error('Error deleting expired images:', error);
+  }
+}, 60 * 60 * 1000); // Every hour
+
+// Socket rate limiting, counted in the shared store so limits hold across instances
+// Counts as limited if the store can't be reached, so handlers just refuse.
+async function checkSocketRateLimit(socketId, action, maxPerMinute = 60) {
+  try {
+    return await store.hitRateLimit(`${socketId}:${action}`, maxPerMinute, 60000); // 1 minute window
+  } catch (error) {
+    console.error('Error checking socket rate limit:', error);
+    return false;
+  }
+}
+
+// Helper: confirm the login to the client. roomId is the chat the user is
+// still part of, if any; chatResumed follows with its history.
+async function sendLoginSuccess(socket) {
+  const { user } = socket;
+
+  socket.emit('loginSuccess', {
+    user: {
+      id: user._id,
+      displayName: user.displayName,
+      email: user.email,
+      role: user.role
+    },
+    roomId: (await getChat(socket))?.roomId ?? null,
+    messageEditWindowMs: MESSAGE_EDIT_WINDOW_MS
+  });
+
+  await resumeChat(socket);
+}
+
+// Authenticate sockets during the handshake, so `connection` only fires for
+// logged-in users. Errors reach the client as `connect_error` with these messages.
+io.use(async (socket, next) => {
+  let userData;
+  try {
+    userData = jwt.verify(socket.handshake.auth?.token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Unauthorized'));
+  }
+
+  if (userData.type !== 'session' || !isValidEmail(userData.email)) {
+    return next(new Error('Unauthorized'));
+  }
+
+  try {
+    const [sessionActive, user] = await Promise.all([
+      isSessionActive(userData.sid),
+      User.findOne({ email: userData.email.toLowerCase().trim() })
+    ]);
+    if (!sessionActive || !user) {
+      return next(new Error('Unauthorized'));
+    }
+
+    const ban = getActiveBan(user);
+    if (ban) {
+      console.log(`Banned user ${user.displayName} rejected on connect`);
+      const error = new Error('Banned');
+      error.data = ban;
+      return next(error);
+    }
+
+    // Store user info on the socket object for later use
+    socket.user = user;
+    // Exposed to other instances through fetchSockets()
+    socket.data.userId = getUserId(socket);
+    socket.data.sessionId = userData.sid;
+    next();
+  } catch (error) {
+    console.error('Error authenticating socket:', error);
+    next(new Error('Unauthorized'));
+  }
+});
+
+// Socket.io connection
+io.on('connection', (socket) => {
+  // io.use sets the user on every socket; refuse one that somehow has none
+  if (!socket.user) {
+    socket.emit('unauthorized');
+    socket.disconnect(true);
+    return;
+  }
+
+  // A recovered socket is put back in the rooms it had, which may include a
+  // chat or lobby that ended while it was away. resumeChat rejoins the
+  // current chat, and the client rejoins its lobby and admin room on login.
+  if (socket.recovered) {
+    for (const room of socket.rooms) {
+      if (room !== socket.id) socket.leave(room);
+    }
+  }
+
+  socket.join([userRoom(socket.data.userId), sessionRoom(socket.data.sessionId)]);
+  console.log(`User ${socket.user.displayName} ${socket.recovered ? 'reconnected' : 'connected'} with socket ${socket.id}`);
+  notifyAdmins();
+
+  sendLoginSuccess(socket).catch((error) => {
+    console.error('Error completing login:', error);
+  });
+  announceOnline(socket.data.userId).catch((error) => {
+    console.error('Error announcing presence:', error);
+  });
+
+  // Sockets are authenticated in the handshake. Older clients still send
+  // `login` after connecting; answer with loginSuccess again.
+  socket.on('login', () => {
+    sendLoginSuccess(socket).catch((error) => {
+      console.error('Error completing login:', error);
+    });
+  });
+
+  // Handle search for partner
+  socket.on('search', async (payload) => {
+    if (!socket.user) {
+      socket.emit('unauthorized');
+      return;
+    }
+
+    try {
+      // Rate limit search requests
+      if (!(await checkSocketRateLimit(socket.id, 'search', 10))) {
+        console.log('Search rate limit exceeded for:', socket.user.displayName);
+        return;
+      }
+
+      await startSearch(socket, payload?.tags);
+    } catch (error) {
+      console.error('Error starting search:', error);
+      socket.emit('searchStopped');
+    }
+  });
+
+  // End the current chat and immediately search again
+  socket.on('next', async (payload) => {
+    if (!socket.user) {
+      socket.emit('unauthorized');
+      return;
+    }
+
+    try {
+      // The client has already left the chat, so end it even when the new
+      // search is rate limited
+      await endActiveChat(socket);
+
+      // Shares the search rate limit so `next` can't be used to bypass it
+      if (!(await checkSocketRateLimit(socket.id, 'search', 10))) {
+        console.log('Search rate limit exceeded for:', socket.user.displayName);
+        socket.emit('searchStopped');
+        return;
+      }
+
+      await startSearch(socket, payload?.tags);
+    } catch (error) {
+      console.error('Error skipping to next partner:', error);
+      socket.emit('searchStopped');
+    }
+  });
+
+  // Stop searching
+  socket.on('stopSearch', async () => {
+    try {
+      await store.removeFromQueue(socket.id);
+      socket.emit('searchStopped');
+      console.log('User stopped searching:', socket.user?.displayName);
+      notifyAdmins();
+    } catch (error) {
+      console.error('Error stopping search:', error);
+    }
+  });
+
+  // Send message. Replies through the ack callback with the stored id and
+  // server timestamp, or with an error code the client can show.
+  socket.on('sendMessage', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const content = payload?.content;
+    const replyTo = payload?.replyTo ?? null;
+
+    // Rate limit messages
+    if (!(await checkSocketRateLimit(socket.id, 'message', 30))) {
+      console.log('Message rate limit exceeded for:', socket.user?.displayName);
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    let chatInfo;
+    try {
+      chatInfo = await getChat(socket);
+    } catch (error) {
+      console.error('Error loading chat:', error);
+      return respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+    if (!chatInfo) {
+      return respond({ ok: false, error: 'NO_ACTIVE_CHAT' });
+    }
+
+    // Validate content
+    if (typeof content !== 'string') {
+      console.error(`Invalid message type from socket ${socket.id}`);
+      return respond({ ok: false, error: 'INVALID_MESSAGE' });
+    }
+
+    const sanitizedContent = sanitizeInput(content, MAX_MESSAGE_LENGTH);
+    
+    if (sanitizedContent.length === 0) {
+      console.error(`Empty message from socket ${socket.id}`);
+      return respond({ ok: false, error: 'EMPTY_MESSAGE' });
+    }
+
+    const verdict = contentFilter.check(sanitizedContent);
+    if (verdict.action === 'block') {
+      console.log(`Message blocked by rule ${verdict.ruleId} for:`, socket.user.displayName);
+      return respond({ ok: false, error: 'CONTENT_BLOCKED', reason: verdict.reason });
+    }
+
+    const { roomId, partnerId } = chatInfo;
+
+    try {
+      // Replies may only quote a message from the same room
+      if (replyTo !== null
+        && (!mongoose.isValidObjectId(replyTo) || !(await Message.exists({ _id: replyTo, roomId, deletedAt: null })))) {
+        return respond({ ok: false, error: 'INVALID_REPLY' });
+      }
+
+      // Save message in DB
+      const message = await Message.create({ 
+        roomId, 
+        sender: socket.user._id, 
+        content: verdict.content,
+        replyTo
+      });
+      const timestamp = message.timestamp.getTime();
+
+      // Emit to partner. If they are reconnecting, they get it from the
+      // history replayed by chatResumed instead.
+      io.to(userRoom(partnerId)).emit('receiveMessage', serializeMessage(message));
+      // content lets the sender show the masked text that was delivered
+      respond({ ok: true, id: message._id, timestamp, content: verdict.content });
+      console.log(`Message sent in room ${roomId}`);
+
+      if (verdict.flagged.length > 0) {
+        await flagMessage(message, sanitizedContent, verdict.flagged);
+      }
+    } catch (error) {
+      console.error('Error saving or sending message:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Change the text of one of our own recent messages. The new text goes
+  // through the same checks as sendMessage. Both users get messageEdited.
+  socket.on('editMessage', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const { messageId, content } = payload ?? {};
+
+    if (!(await checkSocketRateLimit(socket.id, 'edit', 30))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    let chatInfo;
+    try {
+      chatInfo = await getChat(socket);
+    } catch (error) {
+      console.error('Error loading chat:', error);
+      return respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+    if (!chatInfo) {
+      return respond({ ok: false, error: 'NO_ACTIVE_CHAT' });
+    }
+
+    if (!mongoose.isValidObjectId(messageId) || typeof content !== 'string') {
+      return respond({ ok: false, error: 'INVALID_MESSAGE' });
+    }
+
+    const sanitizedContent = sanitizeInput(content, MAX_MESSAGE_LENGTH);
+    if (sanitizedContent.length === 0) {
+      return respond({ ok: false, error: 'EMPTY_MESSAGE' });
+    }
+
+    const verdict = contentFilter.check(sanitizedContent);
+    if (verdict.action === 'block') {
+      console.log(`Edit blocked by rule ${verdict.ruleId} for:`, socket.user.displayName);
+      return respond({ ok: false, error: 'CONTENT_BLOCKED', reason: verdict.reason });
+    }
+
+    const { roomId, partnerId } = chatInfo;
+
+    try {
+      const message = await Message.findOneAndUpdate(
+        { ...editableMessageFilter(socket, roomId, messageId), type: 'text' },
+        { content: verdict.content, editedAt: new Date() },
+        { new: true }
+      ).lean();
+
+      if (!message) {
+        return respond({ ok: false, error: 'EDIT_NOT_ALLOWED' });
+      }
+
+      const update = { messageId, content: message.content, editedAt: message.editedAt.getTime() };
+      io.to(userRoom(socket.user._id)).to(userRoom(partnerId)).emit('messageEdited', update);
+      respond({ ok: true, ...update });
+
+      if (verdict.flagged.length > 0) {
+        await flagMessage(message, sanitizedContent, verdict.flagged);
+      }
+    } catch (error) {
+      console.error('Error editing message:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Take back one of our own recent messages. The stored message becomes a
+  // tombstone (its text, image and reactions are removed) and both users get
+  // messageUnsent.
+  socket.on('unsendMessage', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const { messageId } = payload ?? {};
+
+    if (!(await checkSocketRateLimit(socket.id, 'unsend', 30))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    let chatInfo;
+    try {
+      chatInfo = await getChat(socket);
+    } catch (error) {
+      console.error('Error loading chat:', error);
+      return respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+    if (!chatInfo) {
+      return respond({ ok: false, error: 'NO_ACTIVE_CHAT' });
+    }
+
+    if (!mongoose.isValidObjectId(messageId)) {
+      return respond({ ok: false, error: 'INVALID_MESSAGE' });
+    }
+
+    const { roomId, partnerId } = chatInfo;
+
+    try {
+      // Returns the message as it was, so an image file can be deleted too
+      const message = await Message.findOneAndUpdate(
+        editableMessageFilter(socket, roomId, messageId),
+        { $set: { deletedAt: new Date() }, $unset: { content: 1, image: 1, reactions: 1 } }
+      ).lean();
+
+      if (!message) {
+        return respond({ ok: false, error: 'UNSEND_NOT_ALLOWED' });
+      }
+
+      if (message.image?.fileName) {
+        await imageStore.remove(message.image.fileName);
+      }
+
+      io.to(userRoom(socket.user._id)).to(userRoom(partnerId)).emit('messageUnsent', { messageId });
+      respond({ ok: true });
+    } catch (error) {
+      console.error('Error unsending message:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Add or remove an emoji reaction on a message in the current room. Both
+  // users get reactionUpdated with the message's reactions from their side;
+  // the ack carries the sender's view, or an error code.
+  socket.on('react', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const { messageId, emoji, remove = false } = payload ?? {};
+
+    if (!(await checkSocketRateLimit(socket.id, 'react', 60))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    let chatInfo;
+    try {
+      chatInfo = await getChat(socket);
+    } catch (error) {
+      console.error('Error loading chat:', error);
+      return respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+    if (!chatInfo) {
+      return respond({ ok: false, error: 'NO_ACTIVE_CHAT' });
+    }
+
+    if (!mongoose.isValidObjectId(messageId) || !REACTION_EMOJIS.includes(emoji)) {
+      return respond({ ok: false, error: 'INVALID_REACTION' });
+    }
+
+    const { roomId, partnerId } = chatInfo;
+    const reaction = { user: socket.user._id, emoji };
+
+    try {
+      // Matching on roomId keeps users from reacting to other rooms' messages
+      const message = await Message.findOneAndUpdate(
+        { _id: messageId, roomId, deletedAt: null },
+        remove === true ? { $pull: { reactions: reaction } } : { $addToSet: { reactions: reaction } },
+        { new: true }
+      ).lean();
+
+      if (!message) {
+        return respond({ ok: false, error: 'MESSAGE_NOT_FOUND' });
+      }
+
+      const reactions = summarizeReactions(message.reactions, socket.user._id);
+      io.to(userRoom(socket.user._id)).emit('reactionUpdated', { messageId, reactions });
+      io.to(userRoom(partnerId)).emit('reactionUpdated', {
+        messageId,
+        reactions: summarizeReactions(message.reactions, partnerId)
+      });
+      respond({ ok: true, reactions });
+    } catch (error) {
+      console.error('Error updating reaction:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Ask the partner to agree to saving this chat. Once both agree, each of
+  // them gets transcriptReady when the chat ends. Asking while the partner's
+  // own request is open counts as accepting it.
+  socket.on('requestTranscript', async (ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    if (!(await checkSocketRateLimit(socket.id, 'transcript', 5))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    const userId = getUserId(socket);
+
+    try {
+      // Under the lock, so a chat that is ending can't get a request afterwards
+      const result = await store.withLock(async () => {
+        const chatInfo = await store.getChat(userId);
+        if (!chatInfo) return { ok: false, error: 'NO_ACTIVE_CHAT' };
+
+        const { roomId, partnerId, startedAt } = chatInfo;
+        const key = transcriptKey(roomId);
+        const request = await store.getOffer(key);
+
+        if (request?.accepted) return { ok: true, status: 'agreed' };
+
+        if (request?.requesterId === partnerId) {
+          await store.setOffer(key, { ...request, accepted: true }, MESSAGE_TTL_MS);
+          io.to(userRoom(partnerId)).emit('transcriptAgreed');
+          return { ok: true, status: 'agreed' };
+        }
+
+        await store.setOffer(key, { requesterId: userId, partnerId, startedAt, accepted: false }, TRANSCRIPT_REQUEST_TTL_MS);
+        io.to(userRoom(partnerId)).emit('transcriptRequested', { expiresInMs: TRANSCRIPT_REQUEST_TTL_MS });
+        return { ok: true, status: 'requested', expiresInMs: TRANSCRIPT_REQUEST_TTL_MS };
+      });
+      respond(result);
+    } catch (error) {
+      console.error('Error requesting transcript:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Accept or decline the partner's transcript request. The requester gets
+  // transcriptAgreed or transcriptDeclined.
+  socket.on('respondTranscript', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const accept = payload?.accept === true;
+
+    if (!(await checkSocketRateLimit(socket.id, 'transcript', 5))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    const userId = getUserId(socket);
+
+    try {
+      const result = await store.withLock(async () => {
+        const chatInfo = await store.getChat(userId);
+        if (!chatInfo) return { ok: false, error: 'NO_ACTIVE_CHAT' };
+
+        const { roomId, partnerId } = chatInfo;
+        const key = transcriptKey(roomId);
+        const request = await store.getOffer(key);
+
+        if (!request || request.accepted || request.requesterId !== partnerId) {
+          return { ok: false, error: 'NO_PENDING_REQUEST' };
+        }
+
+        if (accept) {
+          await store.setOffer(key, { ...request, accepted: true }, MESSAGE_TTL_MS);
+          io.to(userRoom(partnerId)).emit('transcriptAgreed');
+          return { ok: true, status: 'agreed' };
+        }
+
+        await store.deleteOffer(key);
+        io.to(userRoom(partnerId)).emit('transcriptDeclined');
+        return { ok: true, status: null };
+      });
+      respond(result);
+    } catch (error) {
+      console.error('Error answering transcript request:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Opt in to sharing our display name and an optional contact handle with
+  // the partner. Nothing is disclosed until both have opted in; then each
+  // gets identityRevealed with the other's details.
+  socket.on('revealIdentity', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const contact = payload?.contact ?? '';
+
+    if (!(await checkSocketRateLimit(socket.id, 'reveal', 10))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    if (typeof contact !== 'string') {
+      return respond({ ok: false, error: 'INVALID_CONTACT' });
+    }
+
+    const userId = getUserId(socket);
+    const identity = {
+      displayName: socket.user.displayName,
+      contact: sanitizeInput(contact, MAX_CONTACT_LENGTH)
+    };
+
+    try {
+      // Under the lock, so two opt-ins at once can't both miss each other
+      const result = await store.withLock(async () => {
+        const chatInfo = await store.getChat(userId);
+        if (!chatInfo) return { ok: false, error: 'NO_ACTIVE_CHAT' };
+
+        const { roomId, partnerId } = chatInfo;
+        const key = revealKey(roomId);
+        const reveal = (await store.getOffer(key)) ?? { optIns: {}, revealed: false };
+
+        if (reveal.revealed) return { ok: false, error: 'ALREADY_REVEALED' };
+
+        reveal.optIns[userId] = identity;
+        reveal.revealed = Boolean(reveal.optIns[partnerId]);
+        await store.setOffer(key, reveal, MESSAGE_TTL_MS);
+
+        if (!reveal.revealed) {
+          io.to(userRoom(partnerId)).emit('partnerRevealRequested');
+          return { ok: true, status: 'waiting' };
+        }
+
+        io.to(userRoom(partnerId)).emit('identityRevealed', { partner: identity });
+        io.to(userRoom(userId)).emit('identityRevealed', { partner: reveal.optIns[partnerId] });
+        return { ok: true, status: 'revealed', partner: reveal.optIns[partnerId] };
+      });
+      respond(result);
+    } catch (error) {
+      console.error('Error revealing identity:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Take back our reveal opt-in, as long as the partner hasn't opted in too
+  socket.on('withdrawReveal', async (ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    if (!(await checkSocketRateLimit(socket.id, 'reveal', 10))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    const userId = getUserId(socket);
+
+    try {
+      const result = await store.withLock(async () => {
+        const chatInfo = await store.getChat(userId);
+        if (!chatInfo) return { ok: false, error: 'NO_ACTIVE_CHAT' };
+
+        const { roomId, partnerId } = chatInfo;
+        const key = revealKey(roomId);
+        const reveal = await store.getOffer(key);
+
+        if (reveal?.revealed) return { ok: false, error: 'ALREADY_REVEALED' };
+        if (!reveal?.optIns[userId]) return { ok: false, error: 'NOT_OPTED_IN' };
+
+        delete reveal.optIns[userId];
+        await store.setOffer(key, reveal, MESSAGE_TTL_MS);
+        io.to(userRoom(partnerId)).emit('partnerRevealWithdrawn');
+        return { ok: true, status: null };
+      });
+      respond(result);
+    } catch (error) {
+      console.error('Error withdrawing reveal:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Offer to save the partner as a connection. Once both have offered, a
+  // Connection is stored and both get connectionSaved.
+  socket.on('saveConnection', async (ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    if (!(await checkSocketRateLimit(socket.id, 'connection', 10))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    const userId = getUserId(socket);
+
+    try {
+      // Under the lock, so two offers at once can't both miss each other
+      const result = await store.withLock(async () => {
+        const chatInfo = await store.getChat(userId);
+        if (!chatInfo) return { ok: false, error: 'NO_ACTIVE_CHAT' };
+
+        const { roomId, partnerId } = chatInfo;
+        const key = saveKey(roomId);
+        const save = (await store.getOffer(key)) ?? { optIns: [] };
+        const status = connectionStatus(chatInfo, save, userId);
+
+        if (status === 'saved' || status === 'waiting') return { ok: true, status, partnerId };
+
+        save.optIns.push(userId);
+        await store.setOffer(key, save, MESSAGE_TTL_MS);
+        return { ok: true, status: connectionStatus(chatInfo, save, userId), partnerId, changed: true };
+      });
+
+      if (!result.ok || !result.changed) {
+        return respond({ ok: result.ok, status: result.status, error: result.error });
+      }
+
+      if (result.status === 'waiting') {
+        io.to(userRoom(result.partnerId)).emit('partnerSaveRequested');
+        return respond({ ok: true, status: 'waiting' });
+      }
+
+      // The second offer completes the pair
+      const now = new Date();
+      const connection = await Connection.findOneAndUpdate(
+        { pairKey: connectionPairKey(userId, result.partnerId) },
+        {
+          $setOnInsert: { members: [{ user: userId }, { user: result.partnerId }], createdAt: now },
+          $set: { lastChatAt: now }
+        },
+        { upsert: true, new: true }
+      ).lean();
+
+      io.to(userRoom(result.partnerId)).emit('connectionSaved', { connectionId: connection._id });
+      io.to(userRoom(userId)).emit('connectionSaved', { connectionId: connection._id });
+      respond({ ok: true, status: 'saved', connectionId: connection._id });
+      console.log(`Connection saved by ${socket.user.displayName}`);
+    } catch (error) {
+      console.error('Error saving connection:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Invite a saved connection to a new direct chat. Both must be online and
+  // free; the other user answers with answerInvite.
+  socket.on('inviteConnection', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const connectionId = payload?.connectionId;
+
+    if (!(await checkSocketRateLimit(socket.id, 'invite', 10))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    try {
+      const connection = await findConnection(connectionId, socket.user._id);
+      if (!connection) {
+        return respond({ ok: false, error: 'CONNECTION_NOT_FOUND' });
+      }
+
+      const partnerId = connectionMembers(connection, socket.user._id).other.user.toString();
+
+      if (await getChat(socket)) {
+        return respond({ ok: false, error: 'ALREADY_IN_CHAT' });
+      }
+      if (!(await isUserOnline(partnerId))) {
+        return respond({ ok: false, error: 'PARTNER_OFFLINE' });
+      }
+      if (await store.getChat(partnerId)) {
+        return respond({ ok: false, error: 'PARTNER_BUSY' });
+      }
+
+      await store.setOffer(inviteKey(connection._id), { fromId: getUserId(socket) }, DIRECT_INVITE_TTL_MS);
+      io.to(userRoom(partnerId)).emit('connectionInvite', {
+        connectionId: connection._id,
+        nickname: connectionMembers(connection, partnerId).me.nickname,
+        expiresInMs: DIRECT_INVITE_TTL_MS
+      });
+      respond({ ok: true, expiresInMs: DIRECT_INVITE_TTL_MS });
+    } catch (error) {
+      console.error('Error inviting connection:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Accept or decline a connection's invite. Accepting starts a direct chat;
+  // both users get `matched` with the connectionId.
+  socket.on('answerInvite', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const connectionId = payload?.connectionId;
+    const accept = payload?.accept === true;
+
+    if (!(await checkSocketRateLimit(socket.id, 'invite', 10))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    const userId = getUserId(socket);
+
+    try {
+      const connection = await findConnection(connectionId, socket.user._id);
+      if (!connection) {
+        return respond({ ok: false, error: 'CONNECTION_NOT_FOUND' });
+      }
+
+      const inviterId = connectionMembers(connection, socket.user._id).other.user.toString();
+      const key = inviteKey(connection._id);
+
+      if (!accept) {
+        const invite = await store.takeOffer(key);
+        if (invite?.fromId === inviterId) {
+          io.to(userRoom(inviterId)).emit('connectionInviteDeclined', { connectionId: connection._id });
+        }
+        return respond({ ok: true });
+      }
+
+      const inviter = await User.findById(inviterId).select('displayName email').lean();
+      if (!inviter) {
+        return respond({ ok: false, error: 'CONNECTION_NOT_FOUND' });
+      }
+
+      const result = await store.withLock(async () => {
+        const invite = await store.getOffer(key);
+        if (invite?.fromId !== inviterId) return { ok: false, error: 'NO_PENDING_INVITE' };
+
+        if (await store.getChat(userId)) return { ok: false, error: 'ALREADY_IN_CHAT' };
+        if (await store.getChat(inviterId)) return { ok: false, error: 'PARTNER_BUSY' };
+        if (!(await isUserOnline(inviterId))) return { ok: false, error: 'PARTNER_OFFLINE' };
+
+        await store.deleteOffer(key);
+        await removeUsersFromQueue([userId, inviterId]);
+        await openRoom(
+          `direct-${connection._id}-${Date.now()}`,
+          { userId: inviterId, displayName: inviter.displayName, email: inviter.email },
+          { userId, displayName: socket.user.displayName, email: socket.user.email },
+          { connectionId: connection._id.toString() }
+        );
+        return { ok: true };
+      });
+
+      if (result.ok) {
+        await Connection.updateOne({ _id: connection._id }, { $set: { lastChatAt: new Date() } });
+        console.log(`Direct chat started by ${socket.user.displayName}`);
+      }
+      respond(result);
+    } catch (error) {
+      console.error('Error answering invite:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Topic lobbies with their member counts
+  socket.on('listLobbies', async (ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      respond({ ok: true, lobbies: await Promise.all(LOBBIES.map(describeLobby)) });
+    } catch (error) {
+      console.error('Error listing lobbies:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Join a topic lobby, leaving any other one. Joining a lobby the user is
+  // already in (e.g. from another tab or after a reconnect) just replays it.
+  // The ack carries the lobby, our alias in it and its recent history.
+  socket.on('joinLobby', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const lobby = LOBBIES.find((item) => item.id === payload?.lobbyId);
+
+    if (!(await checkSocketRateLimit(socket.id, 'lobby', 10))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    if (!lobby) {
+      return respond({ ok: false, error: 'INVALID_LOBBY' });
+    }
+
+    const userId = getUserId(socket);
+
+    try {
+      if (await getChat(socket)) {
+        return respond({ ok: false, error: 'ALREADY_IN_CHAT' });
+      }
+
+      // Under the lock, so the lobby can't overfill
+      const result = await store.withLock(async () => {
+        const members = await store.listLobbyMembers(lobby.id);
+        if (members.includes(userId)) return { ok: true, joined: false };
+        if (members.length >= LOBBY_CAPACITY) return { ok: false, error: 'LOBBY_FULL' };
+
+        await store.addLobbyMember(lobby.id, userId);
+        return { ok: true, joined: true };
+      });
+
+      if (!result.ok) {
+        return respond(result);
+      }
+
+      // One lobby at a time; leaveLobby skips lobbies the user isn't in
+      for (const other of LOBBIES) {
+        if (other.id !== lobby.id) await leaveLobby(other.id, userId);
+      }
+
+      const room = lobbyRoom(lobby.id);
+      const alias = lobbyAlias(lobby.id, userId);
+      io.in(userRoom(userId)).socketsJoin(room);
+
+      const [info, history] = await Promise.all([
+        describeLobby(lobby),
+        Message.find({ roomId: room, deletedAt: null })
+          .sort({ timestamp: -1 })
+          .limit(LOBBY_HISTORY_LIMIT)
+          .lean()
+      ]);
+
+      if (result.joined) {
+        socket.to(room).emit('lobbyMemberJoined', { lobbyId: lobby.id, alias, count: info.count });
+        broadcastLobbyCounts();
+        console.log(`User ${socket.user.displayName} joined lobby ${lobby.id}`);
+      }
+
+      respond({
+        ok: true,
+        lobby: info,
+        alias,
+        messages: history.reverse().map((msg) => serializeLobbyMessage(msg, lobby.id))
+      });
+    } catch (error) {
+      console.error('Error joining lobby:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  socket.on('leaveLobby', async (ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    if (!(await checkSocketRateLimit(socket.id, 'lobby', 10))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    try {
+      const userId = getUserId(socket);
+      const lobby = await findUserLobby(userId);
+      if (lobby) await leaveLobby(lobby.id, userId);
+      respond({ ok: true });
+    } catch (error) {
+      console.error('Error leaving lobby:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Post to the user's lobby. Checked and filtered like sendMessage; the
+  // other members get lobbyMessage.
+  socket.on('sendLobbyMessage', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const content = payload?.content;
+
+    if (!(await checkSocketRateLimit(socket.id, 'lobbyMessage', 30))) {
+      return respond({ ok: false, error: 'RATE_LIMITED' });
+    }
+
+    if (!socket.user) {
+      return respond({ ok: false, error: 'UNAUTHORIZED' });
+    }
+
+    if (typeof content !== 'string') {
+      return respond({ ok: false, error: 'INVALID_MESSAGE' });
+    }
+
+    const sanitizedContent = sanitizeInput(content, MAX_MESSAGE_LENGTH);
+    if (sanitizedContent.length === 0) {
+      return respond({ ok: false, error: 'EMPTY_MESSAGE' });
+    }
+
+    const verdict = contentFilter.check(sanitizedContent);
+    if (verdict.action === 'block') {
+      console.log(`Lobby message blocked by rule ${verdict.ruleId} for:`, socket.user.displayName);
+      return respond({ ok: false, error: 'CONTENT_BLOCKED', reason: verdict.reason });
+    }
+
+    try {
+      const lobby = await findUserLobby(getUserId(socket));
+      if (!lobby) {
+        return respond({ ok: false, error: 'NOT_IN_LOBBY' });
+      }
+
+      const message = await Message.create({
+        roomId: lobbyRoom(lobby.id),
+        sender: socket.user._id,
+        content: verdict.content
+      });
+      const serialized = serializeLobbyMessage(message, lobby.id);
+
+      // Our other tabs get it too and recognise their own alias
+      socket.to(lobbyRoom(lobby.id)).emit('lobbyMessage', serialized);
+      respond({ ok: true, ...serialized });
+
+      if (verdict.flagged.length > 0) {
+        await flagMessage(message, sanitizedContent, verdict.flagged);
+      }
+    } catch (error) {
+      console.error('Error sending lobby message:', error);
+      respond({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Typing indicators, relayed only to the partner in the same room
+  socket.on('typing', async () => {
+    try {
+      const chatInfo = await getChat(socket);
+      if (!chatInfo) return;
+      if (!(await checkSocketRateLimit(socket.id, 'typing', 30))) return;
+
+      io.to(userRoom(chatInfo.partnerId)).emit('partnerTyping');
+    } catch (error) {
+      console.error('Error relaying typing:', error);
+    }
+  });
+
+  socket.on('stopTyping', async () => {
+    try {
+      const chatInfo = await getChat(socket);
+      if (!chatInfo) return;
+      if (!(await checkSocketRateLimit(socket.id, 'stopTyping', 30))) return;
+
+      io.to(userRoom(chatInfo.partnerId)).emit('partnerStoppedTyping');
+    } catch (error) {
+      console.error('Error relaying stopTyping:', error);
+    }
+  });
+
+  // End chat
+  socket.on('endChat', async () => {
+    try {
+      await endActiveChat(socket);
+    } catch (error) {
+      console.error('Error ending chat:', error);
+    }
+  });
+
+  // Block the current partner. Ends the chat; the partner only sees a normal
+  // disconnect and is never told who blocked them.
+  socket.on('blockPartner', async () => {
+    if (!socket.user) {
+      socket.emit('unauthorized');
+      return;
+    }
+
+    if (!(await checkSocketRateLimit(socket.id, 'block', 10))) {
+      console.log('Block rate limit exceeded for:', socket.user.displayName);
+      return;
+    }
+
+    try {
+      const chatInfo = await endActiveChat(socket);
+      if (!chatInfo) return;
+
+      const { partnerId } = chatInfo;
+
+      // startSearch reloads the block list, so every tab picks this up
+      await User.updateOne({ _id: socket.user._id }, { $addToSet: { blockedUsers: partnerId } });
+      // A blocked partner can't stay a saved connection either
+      await Connection.deleteOne({ pairKey: connectionPairKey(socket.user._id, partnerId) });
+      console.log(`User ${socket.user.displayName} blocked a partner`);
+    } catch (error) {
+      console.error('Error blocking user:', error);
+    }
+  });
+
+  // Report the current partner. Ends the chat and snapshots the conversation.
+  socket.on('reportPartner', async (payload) => {
+    const reason = payload?.reason;
+    const note = payload?.note;
+
+    if (!socket.user) {
+      socket.emit('unauthorized');
+      return;
+    }
+
+    if (!(await checkSocketRateLimit(socket.id, 'report', 5))) {
+      console.log('Report rate limit exceeded for:', socket.user.displayName);
+      socket.emit('reportError', { error: 'Too many reports. Please try again later.' });
+      return;
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      socket.emit('reportError', { error: 'Invalid report reason.' });
+      return;
+    }
+
+    try {
+      const chatInfo = await getChat(socket);
+
+      if (!chatInfo) {
+        socket.emit('reportError', { error: 'No active chat to report.' });
+        return;
+      }
+
+      const { roomId, partnerId: reportedUser } = chatInfo;
+      await endActiveChat(socket);
+
+      const recentMessages = await Message.find({ roomId })
+        .sort({ timestamp: -1 })
+        .limit(REPORT_SNAPSHOT_SIZE)
+        .lean();
+
+      const report = await Report.create({
+        reporter: socket.user._id,
+        reportedUser,
+        roomId,
+        reason,
+        note: sanitizeInput(note, MAX_REPORT_NOTE_LENGTH),
+        messages: recentMessages.reverse().map(({ sender, type, content, deletedAt, timestamp }) => ({
+          sender,
+          content: deletedAt ? '[unsent]' : type === 'image' ? '[image]' : content,
+          timestamp
+        }))
+      });
+
+      socket.emit('reportSubmitted', { reportId: report._id });
+      io.to(ADMIN_ROOM).emit('adminReportsChanged');
+      console.log(`Report ${report._id} filed in room ${roomId}`);
+    } catch (error) {
+      console.error('Error saving report:', error);
+      socket.emit('reportError', { error: 'Failed to submit report.' });
+    }
+  });
+
+  // Admin console live updates
+  socket.on('adminSubscribe', async () => {
+    if (socket.user?.role !== 'admin') {
+      socket.emit('unauthorized');
+      return;
+    }
+
+    socket.join(ADMIN_ROOM);
+    try {
+      socket.emit('adminUpdate', await buildAdminSnapshot());
+    } catch (error) {
+      console.error('Error building admin snapshot:', error);
+    }
+  });
+
+  socket.on('adminUnsubscribe', () => {
+    socket.leave(ADMIN_ROOM);
+  });
+
+  // Handle disconnect
+  socket.on('disconnect', async () => {
+    console.log('User disconnected:', socket.id);
+
+    try {
+      // Remove from waiting queue; rate limit windows expire on their own
+      await store.removeFromQueue(socket.id);
+
+      // Keep the chat open for a grace period if this was the user's last
+      // socket; the partner sees "reconnecting" until they return or it expires
+      const userId = getUserId(socket);
+      if (userId && !(await isUserOnline(userId))) {
+        await holdChatForReconnect(userId);
+        await notifyConnectionsOfPresence(userId, false);
+
+        // Lobbies have no grace period; the client joins again on reconnect
+        const lobby = await findUserLobby(userId);
+        if (lobby) await leaveLobby(lobby.id, userId);
+      }
+    } catch (error) {
+      console.error('Error cleaning up after disconnect:', error);
+    }
+
+    notifyAdmins();
+  });
+});
+
+// Health check
+app.get('/health', async (req, res) => {
+  const mongoStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
+  const [queue, chats] = await Promise.all([store.getQueue(), store.listChats()]);
+  res.json({ 
+    status: 'ok', 
+    timestamp: new Date().toISOString(),
+    mongodb: mongoStatus,
+    store: adapter ? 'redis' : 'memory',
+    activeConnections: io.engine.clientsCount,
+    waitingQueue: queue.length,
+    activeChats: chats.length / 2
+  });
+});
+
+// Email verification and magic link generation
+app.post('/auth/magic-link', magicLinkLimiter, async (req, res) => {
+  const { email } = req.body;
+
+  // Validate email
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ error: 'Email is required.' });
+  }
+
+  const normalizedEmail = email.toLowerCase().trim();
+
+  if (!isValidEmail(normalizedEmail)) {
+    return res.status(400).json({ error: 'Invalid email domain. Only @usc.edu.ph emails are allowed.' });
+  }
+
+  try {
+    const existingUser = await User.findOne({ email: normalizedEmail }).select('ban').lean();
+    const ban = getActiveBan(existingUser);
+    if (ban) {
+      return res.status(403).json({
+        error: 'This account has been banned.',
+        banned: true,
+        ...ban
+      });
+    }
+  } catch (error) {
+    console.error('Error checking ban status:', error);
+    return res.status(500).json({ error: 'Failed to send magic link.' });
+  }
+
+  // Generate a short-lived, single-use JWT (15 minutes). Its jti is
+  // recorded so /auth/verify-token can only accept it once.
+  const displayName = normalizedEmail.split('@')[0];
+  const jti = crypto.randomUUID();
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const token = jwt.sign(
+    { type: 'magic-link', email: normalizedEmail, displayName },
+    process.env.JWT_SECRET,
+    { expiresIn: MAGIC_LINK_TTL_MS / 1000, jwtid: jti }
+  );
+
+  try {
+    await MagicLink.create({
+      jti,
+      email: normalizedEmail,
+      codeHash: hashLoginCode(jti, code),
+      expiresAt: new Date(Date.now() + MAGIC_LINK_TTL_MS)
+    });
+  } catch (error) {
+    console.error('Error recording magic link:', error);
+    return res.status(500).json({ error: 'Failed to send magic link.' });
+  }
+
+  // Create the magic link
+  const magicLink = `${process.env.CLIENT_URL}/auth?token=${token}`;
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    res.status(200).json({ 
-      email: decoded.email, 
-      displayName: decoded.displayName 
+    await mailer.send('magic-link', normalizedEmail, {
+      magicLink,
+      code,
+      expiresInMinutes: MAGIC_LINK_TTL_MS / 60000
     });
+
+    res.status(200).json({ message: 'Magic link sent successfully.' });
+  } catch (error) {
+    console.error('Error sending email:', error);
+    res.status(500).json({ error: 'Failed to send magic link.' });
+  }
+});
+
+// Exchange a magic link token for a session token and refresh token
+app.post('/auth/verify-token', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ error: 'Token is required.' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
-      res.status(401).json({ error: 'Token has expired. Please request a new magic link.' });
+      return res.status(401).json({ error: 'Token has expired. Please request a new magic link.' });
+    }
+    return res.status(401).json({ error: 'Invalid token.' });
+  }
+
+  if (decoded.type !== 'magic-link' || !decoded.jti || !isValidEmail(decoded.email)) {
+    return res.status(401).json({ error: 'Invalid token.' });
+  }
+
+  try {
+    // Consume the link atomically, so a forwarded or replayed URL fails
+    const link = await MagicLink.findOneAndUpdate(
+      { jti: decoded.jti, usedAt: null },
+      { usedAt: new Date() }
+    );
+    if (!link) {
+      return res.status(401).json({ error: 'This magic link has already been used. Please request a new one.' });
+    }
+
+    await respondWithNewSession(res, decoded.email.toLowerCase().trim());
+  } catch (error) {
+    console.error('Error starting session:', error);
+    res.status(500).json({ error: 'Failed to start session.' });
+  }
+});
+
+// Log in with the 6-digit code from the magic link email, for when the email
+// was opened on a different device. Uses the newest link sent to the address;
+// logging in either way uses up both the link and the code.
+app.post('/auth/verify-code', verifyCodeLimiter, async (req, res) => {
+  const { email, code } = req.body ?? {};
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'A valid @usc.edu.ph email is required.' });
+  }
+
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) {
+    return res.status(400).json({ error: 'Enter the 6-digit code from your email.' });
+  }
+
+  const normalizedEmail = email.toLowerCase().trim();
+
+  try {
+    const link = await MagicLink.findOne({
+      email: normalizedEmail,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ expiresAt: -1 });
+
+    if (!link) {
+      return res.status(401).json({ error: 'This code has expired. Please request a new magic link.' });
+    }
+
+    // Attempts across all of the address's links. Once they run out, code
+    // logins stay locked until the window ends; the emailed link still works.
+    if (!(await store.hitRateLimit(`login-code:${normalizedEmail}`, MAX_LOGIN_CODE_ATTEMPTS_PER_EMAIL, LOGIN_CODE_LOCKOUT_MS))) {
+      return res.status(429).json({ error: 'Too many login code attempts for this email. Use the link in the email or try again later.' });
+    }
+
+    // Count the attempt before checking, so parallel guesses can't exceed the limit
+    const attempt = await MagicLink.findOneAndUpdate(
+      { _id: link._id, usedAt: null, codeAttempts: { $lt: MAX_LOGIN_CODE_ATTEMPTS } },
+      { $inc: { codeAttempts: 1 } },
+      { new: true }
+    );
+    if (!attempt) {
+      return res.status(429).json({ error: 'Too many incorrect codes. Please request a new magic link.' });
+    }
+
+    if (!safeEqual(hashLoginCode(link.jti, code.trim()), link.codeHash)) {
+      return res.status(401).json({
+        error: 'Incorrect code.',
+        attemptsLeft: MAX_LOGIN_CODE_ATTEMPTS - attempt.codeAttempts
+      });
+    }
+
+    const consumed = await MagicLink.findOneAndUpdate(
+      { _id: link._id, usedAt: null },
+      { usedAt: new Date() }
+    );
+    if (!consumed) {
+      return res.status(401).json({ error: 'This code has already been used. Please request a new magic link.' });
+    }
+
+    await respondWithNewSession(res, normalizedEmail);
+  } catch (error) {
+    console.error('Error verifying login code:', error);
+    res.status(500).json({ error: 'Failed to verify code.' });
+  }
+});
+
+// Trade a refresh token for a new session token. The refresh token rotates
+// on every call; replaying an old one ends the session.
+app.post('/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body ?? {};
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ error: 'Refresh token is required.' });
+  }
+
+  const [sessionId] = refreshToken.split('.');
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return res.status(401).json({ error: 'Invalid refresh token.' });
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  try {
+    // A concurrent refresh may rotate the session between our read and
+    // write; read it again once, when the token we hold is now the previous one
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const session = await Session.findById(sessionId).lean();
+      if (!session || session.expiresAt <= new Date()) {
+        return res.status(401).json({ error: 'Session has expired. Please log in again.' });
+      }
+
+      const isCurrent = safeEqual(presentedHash, session.refreshTokenHash);
+      const isPrevious = !!session.previousTokenHash && safeEqual(presentedHash, session.previousTokenHash);
+
+      if (!isCurrent && !isPrevious) {
+        return res.status(401).json({ error: 'Invalid refresh token.' });
+      }
+
+      if (isPrevious && Date.now() - session.rotatedAt.getTime() > REFRESH_REUSE_GRACE_MS) {
+        // An old token coming back means it leaked; end the session for everyone holding it
+        await Session.deleteOne({ _id: session._id });
+        console.warn(`Refresh token reuse detected, session ${session._id} ended`);
+        return res.status(401).json({ error: 'Session has expired. Please log in again.' });
+      }
+
+      const user = await User.findById(session.user).select('email displayName ban').lean();
+      if (!user) {
+        return res.status(401).json({ error: 'Session has expired. Please log in again.' });
+      }
+
+      const ban = getActiveBan(user);
+      if (ban) {
+        return res.status(403).json({
+          error: 'This account has been banned.',
+          banned: true,
+          ...ban
+        });
+      }
+
+      const nextRefreshToken = createRefreshToken(session._id);
+      const now = new Date();
+      const rotated = await Session.updateOne(
+        { _id: session._id, refreshTokenHash: session.refreshTokenHash },
+        {
+          refreshTokenHash: hashToken(nextRefreshToken),
+          previousTokenHash: session.refreshTokenHash,
+          rotatedAt: now,
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+        }
+      );
+
+      if (rotated.modifiedCount === 1) {
+        return res.status(200).json({
+          sessionToken: signSessionToken(user, session._id),
+          refreshToken: nextRefreshToken
+        });
+      }
+    }
+
+    res.status(409).json({ error: 'Session is being refreshed elsewhere. Please try again.' });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ error: 'Failed to refresh session.' });
+  }
+});
+
+// Log out. Ends the caller's session, or with `everywhere: true` every session
+// of the account, and disconnects the affected sockets on every instance.
+// An expired session token is still accepted, so logging out always works.
+app.post('/auth/logout', async (req, res) => {
+  const { everywhere = false } = req.body ?? {};
+  const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+
+  let userData;
+  try {
+    userData = jwt.verify(bearer, process.env.JWT_SECRET, { ignoreExpiration: true });
+  } catch (error) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (userData.type !== 'session' || !mongoose.isValidObjectId(userData.sid)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (everywhere === true) {
+      const session = await Session.findById(userData.sid).select('user').lean();
+      if (!session) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      const { deletedCount } = await Session.deleteMany({ user: session.user });
+
+      // No session is left to come back to the chat, so skip the grace period
+      const chatInfo = await store.getChat(session.user.toString());
+      if (chatInfo) await endRoom(chatInfo.roomId);
+      disconnectUserSockets(session.user, 'loggedOut');
+      console.log(`User ${userData.displayName} logged out of ${deletedCount} sessions`);
     } else {
-      res.status(401).json({ error: 'Invalid token.' });
+      await Session.deleteOne({ _id: userData.sid });
+      const room = sessionRoom(userData.sid);
+      io.to(room).emit('loggedOut');
+      io.in(room).disconnectSockets(true);
+      console.log(`User ${userData.displayName} logged out`);
+    }
+
+    res.status(200).json({ message: 'Logged out.' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out.' });
+  }
+});
+
+// Raw image body, up to MAX_IMAGE_BYTES. Other content types leave req.body unset.
+const parseImageBody = express.raw({ type: IMAGE_MIME_TYPES, limit: MAX_IMAGE_BYTES });
+function parseImage(req, res, next) {
+  parseImageBody(req, res, (err) => {
+    if (err?.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Images must be ${MAX_IMAGE_BYTES / 1024 / 1024} MB or smaller.` });
+    }
+    next(err);
+  });
+}
+
+// Send an image to the current chat partner. The body is the image itself
+// (Content-Type image/jpeg, image/png or image/webp); metadata is stripped
+// before it is stored.
+app.post('/chat/images', imageUploadLimiter, requireSession, parseImage, async (req, res) => {
+  const userId = req.user._id.toString();
+
+  if (!(await store.hitRateLimit(`${userId}:image`, 10, 60000))) {
+    return res.status(429).json({ error: 'Too many images sent. Please slow down.' });
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(415).json({ error: 'Only JPEG, PNG and WebP images can be sent.' });
+  }
+
+  const chatInfo = await store.getChat(userId);
+  if (!chatInfo) {
+    return res.status(409).json({ error: 'No active chat.' });
+  }
+
+  let saved;
+  try {
+    saved = await imageStore.save(req.body);
+  } catch (error) {
+    if (error instanceof InvalidImageError) {
+      return res.status(415).json({ error: 'This file is not a valid JPEG, PNG or WebP image.' });
+    }
+    console.error('Error storing image:', error);
+    return res.status(500).json({ error: 'Failed to send image.' });
+  }
+
+  try {
+    const message = await Message.create({
+      roomId: chatInfo.roomId,
+      sender: req.user._id,
+      type: 'image',
+      image: { fileName: saved.fileName, mimeType: saved.mimeType }
+    });
+    const payload = serializeMessage(message);
+
+    io.to(userRoom(chatInfo.partnerId)).emit('receiveMessage', payload);
+    res.status(201).json(payload);
+    console.log(`Image sent in room ${chatInfo.roomId}`);
+  } catch (error) {
+    await imageStore.remove(saved.fileName);
+    console.error('Error saving image message:', error);
+    res.status(500).json({ error: 'Failed to send image.' });
+  }
+});
+
+// Chat images. Names are random, so only the two people in the chat know
+// the URL. Allowed cross-origin so the client can show them.
+app.get('/chat/images/:fileName', async (req, res) => {
+  const filePath = await imageStore.resolve(req.params.fileName);
+  if (!filePath) {
+    return res.status(404).json({ error: 'Image not found or expired.' });
+  }
+
+  res.set({
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    'Cache-Control': 'private, max-age=86400, immutable'
+  });
+  res.sendFile(filePath);
+});
+
+// Saved connections of the logged-in user, most recently chatted first
+app.get('/connections', connectionsLimiter, requireSession, async (req, res) => {
+  try {
+    const connections = await Connection.find({ 'members.user': req.user._id })
+      .sort({ lastChatAt: -1, createdAt: -1 })
+      .lean();
+
+    const online = await Promise.all(connections.map((connection) =>
+      isUserOnline(connectionMembers(connection, req.user._id).other.user.toString())
+    ));
+
+    res.status(200).json({
+      connections: connections.map((connection, i) => serializeConnection(connection, req.user._id, online[i]))
+    });
+  } catch (error) {
+    console.error('Error listing connections:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename a saved connection. The nickname is only shown to the user who set it.
+app.post('/connections/:id/nickname', connectionsLimiter, requireSession, async (req, res) => {
+  const { nickname } = req.body;
+
+  if (typeof nickname !== 'string') {
+    return res.status(400).json({ error: 'Nickname must be a string.' });
+  }
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'Connection not found.' });
+  }
+
+  try {
+    const connection = await Connection.findOneAndUpdate(
+      { _id: req.params.id, 'members.user': req.user._id },
+      { $set: { 'members.$.nickname': sanitizeInput(nickname, MAX_NICKNAME_LENGTH) } },
+      { new: true }
+    ).lean();
+
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found.' });
+    }
+
+    const partnerId = connectionMembers(connection, req.user._id).other.user.toString();
+    res.status(200).json({ connection: serializeConnection(connection, req.user._id, await isUserOnline(partnerId)) });
+  } catch (error) {
+    console.error('Error renaming connection:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a saved connection for both members
+app.post('/connections/:id/remove', connectionsLimiter, requireSession, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'Connection not found.' });
+  }
+
+  try {
+    const connection = await Connection.findOneAndDelete({ _id: req.params.id, 'members.user': req.user._id }).lean();
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found.' });
+    }
+
+    for (const member of connection.members) {
+      io.to(userRoom(member.user.toString())).emit('connectionRemoved', { connectionId: connection._id });
+    }
+    res.status(200).json({ message: 'Connection removed.' });
+  } catch (error) {
+    console.error('Error removing connection:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Live matchmaking queue
+app.get('/admin/queue', requireAdmin, async (req, res) => {
+  res.status(200).json({ waiting: await listWaitingUsers() });
+});
+
+// Active chat rooms and their members
+app.get('/admin/chats', requireAdmin, async (req, res) => {
+  res.status(200).json({ chats: await listActiveChats() });
+});
+
+// Force-end a chat room
+app.post('/admin/chats/:roomId/end', adminActionLimiter, requireAdmin, async (req, res) => {
+  if (!(await endRoom(req.params.roomId))) {
+    return res.status(404).json({ error: 'Chat not found.' });
+  }
+  res.status(200).json({ message: 'Chat ended.' });
+});
+
+// Disconnect a single socket
+app.post('/admin/sockets/:socketId/kick', adminActionLimiter, requireAdmin, async (req, res) => {
+  // Every socket is in a room named after its id, on whichever instance holds it
+  const [target] = await io.in(req.params.socketId).fetchSockets();
+  if (!target) {
+    return res.status(404).json({ error: 'Socket not found.' });
+  }
+
+  target.emit('kicked');
+  target.disconnect(true);
+  console.log(`Socket ${req.params.socketId} kicked by admin`);
+  res.status(200).json({ message: 'Socket disconnected.' });
+});
+
+// Look up a user by email, with live sockets and report counts
+app.get('/admin/users', requireAdmin, async (req, res) => {
+  const { email } = req.query;
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'A valid @usc.edu.ph email is required.' });
+  }
+
+  try {
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const [reportsAgainst, reportsFiled] = await Promise.all([
+      Report.countDocuments({ reportedUser: user._id }),
+      Report.countDocuments({ reporter: user._id })
+    ]);
+
+    const userId = user._id.toString();
+    const [liveSockets, queue, chatInfo] = await Promise.all([
+      io.in(userRoom(userId)).fetchSockets(),
+      store.getQueue(),
+      store.getChat(userId)
+    ]);
+    const sockets = liveSockets.map((s) => ({
+      socketId: s.id,
+      searching: queue.some((entry) => entry.socketId === s.id),
+      roomId: chatInfo?.roomId ?? null
+    }));
+
+    res.status(200).json({
+      user: {
+        id: user._id,
+        email: user.email,
+        displayName: user.displayName,
+        role: user.role,
+        ban: getActiveBan(user),
+        createdAt: user.createdAt
+      },
+      sockets,
+      reportsAgainst,
+      reportsFiled
+    });
+  } catch (error) {
+    console.error('Error looking up user:', error);
+    res.status(500).json({ error: 'Failed to look up user.' });
+  }
+});
+
+// Grant or revoke the admin role
+app.post('/admin/users/:id/role', adminActionLimiter, requireAdmin, async (req, res) => {
+  const { role } = req.body ?? {};
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid user id.' });
+  }
+
+  if (role !== 'user' && role !== 'admin') {
+    return res.status(400).json({ error: 'Role must be "user" or "admin".' });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, { role }, { new: true }).lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    console.log(`User ${user.displayName} role set to ${role}`);
+    res.status(200).json({ user: { id: user._id, email: user.email, role: user.role } });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({ error: 'Failed to update role.' });
+  }
+});
+
+// List reports for the moderation queue
+app.get('/admin/reports', requireAdmin, async (req, res) => {
+  const { status, reason, reportedUser, source } = req.query;
+  const filter = {};
+
+  if (status !== undefined) {
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status filter.' });
     }
+    filter.status = status;
+  }
+
+  if (reason !== undefined) {
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: 'Invalid reason filter.' });
+    }
+    filter.reason = reason;
+  }
+
+  if (source !== undefined) {
+    if (!REPORT_SOURCES.includes(source)) {
+      return res.status(400).json({ error: 'Invalid source filter.' });
+    }
+    filter.source = source;
+  }
+
+  if (reportedUser !== undefined) {
+    if (!mongoose.isValidObjectId(reportedUser)) {
+      return res.status(400).json({ error: 'Invalid user id.' });
+    }
+    filter.reportedUser = reportedUser;
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+  try {
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('reporter', 'email displayName')
+        .populate('reportedUser', 'email displayName')
+        .lean(),
+      Report.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ reports, total, page, limit });
+  } catch (error) {
+    console.error('Error listing reports:', error);
+    res.status(500).json({ error: 'Failed to list reports.' });
+  }
+});
+
+// Fetch a single report including its message snapshot
+app.get('/admin/reports/:id', requireAdmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid report id.' });
+  }
+
+  try {
+    const report = await Report.findById(req.params.id)
+      .populate('reporter', 'email displayName')
+      .populate('reportedUser', 'email displayName')
+      .lean();
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found.' });
+    }
+    res.status(200).json({ report });
+  } catch (error) {
+    console.error('Error fetching report:', error);
+    res.status(500).json({ error: 'Failed to fetch report.' });
+  }
+});
+
+// Resolve or dismiss a report
+app.post('/admin/reports/:id/resolve', adminActionLimiter, requireAdmin, async (req, res) => {
+  const { status = 'resolved', resolutionNote } = req.body ?? {};
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid report id.' });
+  }
+
+  if (status !== 'resolved' && status !== 'dismissed') {
+    return res.status(400).json({ error: 'Status must be "resolved" or "dismissed".' });
+  }
+
+  try {
+    const report = await Report.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      {
+        status,
+        resolutionNote: sanitizeInput(resolutionNote, MAX_REPORT_NOTE_LENGTH),
+        resolvedAt: new Date()
+      },
+      { new: true }
+    ).lean();
+
+    if (!report) {
+      return res.status(404).json({ error: 'Open report not found.' });
+    }
+    io.to(ADMIN_ROOM).emit('adminReportsChanged');
+    res.status(200).json({ report });
+  } catch (error) {
+    console.error('Error resolving report:', error);
+    res.status(500).json({ error: 'Failed to resolve report.' });
+  }
+});
+
+// Ban a user, permanently or for a number of hours
+app.post('/admin/users/:id/ban', adminActionLimiter, requireAdmin, async (req, res) => {
+  const { reason, durationHours } = req.body ?? {};
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid user id.' });
+  }
+
+  const sanitizedReason = sanitizeInput(reason, MAX_BAN_REASON_LENGTH);
+  if (!sanitizedReason) {
+    return res.status(400).json({ error: 'Ban reason is required.' });
+  }
+
+  if (durationHours !== undefined && !(Number.isFinite(durationHours) && durationHours > 0)) {
+    return res.status(400).json({ error: 'durationHours must be a positive number.' });
+  }
+
+  const now = new Date();
+  const ban = {
+    reason: sanitizedReason,
+    bannedAt: now,
+    expiresAt: durationHours ? new Date(now.getTime() + durationHours * 60 * 60 * 1000) : undefined
+  };
+
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, { ban }, { new: true }).lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    // End their chat and kick any live sessions so the ban takes effect immediately
+    const chatInfo = await store.getChat(user._id.toString());
+    if (chatInfo) await endRoom(chatInfo.roomId);
+    disconnectUserSockets(user._id, 'banned', getActiveBan(user));
+    console.log(`User ${user.displayName} banned: ${sanitizedReason}`);
+
+    res.status(200).json({ user: { id: user._id, email: user.email, ban: user.ban } });
+  } catch (error) {
+    console.error('Error banning user:', error);
+    res.status(500).json({ error: 'Failed to ban user.' });
+  }
+});
+
+// Lift a ban early
+app.post('/admin/users/:id/unban', adminActionLimiter, requireAdmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid user id.' });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, { $unset: { ban: 1 } }, { new: true }).lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    console.log(`User ${user.displayName} unbanned`);
+    res.status(200).json({ user: { id: user._id, email: user.email } });
+  } catch (error) {
+    console.error('Error unbanning user:', error);
+    res.status(500).json({ error: 'Failed to unban user.' });
   }
 });
 
@@ -571,6 +3307,17 @@ const gracefulShutdown = async (signal) => {
     console.log('Socket.IO server closed');
   });
 
+  // Close pooled SMTP connections
+  mailer.close();
+
+  // Close the shared state store
+  try {
+    await store.close();
+    console.log('Matchmaking store closed');
+  } catch (err) {
+    console.error('Error closing matchmaking store:', err);
+  }
+
   // Close MongoDB connection
   try {
     await mongoose.connection.close();
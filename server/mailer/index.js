@@ -0,0 +1,125 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+
+const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+const TRANSPORTS = ['smtp', 'console', 'file'];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;' };
+
+// Replace {{name}} placeholders; values are HTML-escaped in the HTML variant
+function interpolate(template, data, escape) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = String(data[key] ?? '');
+    return escape ? value.replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]) : value;
+  });
+}
+
+// Pick a transport from the environment:
+// - MAIL_TRANSPORT=smtp: SMTP_URL, or SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS,
+//   or Gmail with the older EMAIL_USER/EMAIL_PASS
+// - MAIL_TRANSPORT=console: print messages to the log
+// - MAIL_TRANSPORT=file: write messages as JSON files to MAIL_OUTBOX_DIR
+// Without MAIL_TRANSPORT, SMTP is used when configured, otherwise console
+// outside production.
+function resolveTransport(env) {
+  const hasSmtp = !!(env.SMTP_URL || env.SMTP_HOST || (env.EMAIL_USER && env.EMAIL_PASS));
+  const name = env.MAIL_TRANSPORT || (hasSmtp ? 'smtp' : 'console');
+
+  if (!TRANSPORTS.includes(name)) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${TRANSPORTS.join(', ')}`);
+  }
+  if (name === 'smtp' && !hasSmtp) {
+    throw new Error('MAIL_TRANSPORT=smtp needs SMTP_URL, SMTP_HOST or EMAIL_USER/EMAIL_PASS');
+  }
+  if (name !== 'smtp' && env.NODE_ENV === 'production' && !env.MAIL_TRANSPORT) {
+    throw new Error('No SMTP settings found; set MAIL_TRANSPORT explicitly to send mail in production');
+  }
+  return name;
+}
+
+// Shared pooled SMTP transporter
+function createSmtpTransporter(env) {
+  if (env.SMTP_URL) {
+    return nodemailer.createTransport(env.SMTP_URL, { pool: true });
+  }
+  if (env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      pool: true,
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+    });
+  }
+  return nodemailer.createTransport({
+    pool: true,
+    service: 'gmail',
+    auth: { user: env.EMAIL_USER, pass: env.EMAIL_PASS }
+  });
+}
+
+// Mailer with interchangeable transports and file-based templates. Each
+// template is a directory under templates/ with subject.txt, text.txt and
+// html.html.
+export function createMailer(env = process.env) {
+  const transport = resolveTransport(env);
+  const from = env.MAIL_FROM || env.EMAIL_USER || 'USChika <no-reply@localhost>';
+  const outboxDir = path.resolve(env.MAIL_OUTBOX_DIR || 'outbox');
+  const templateCache = new Map();
+
+  // Console and file transports only need the rendered message, not SMTP
+  const transporter = transport === 'smtp'
+    ? createSmtpTransporter(env)
+    : nodemailer.createTransport({ jsonTransport: true });
+
+  async function loadTemplate(name) {
+    if (!templateCache.has(name)) {
+      const dir = path.join(TEMPLATES_DIR, name);
+      const [subject, text, html] = await Promise.all([
+        fs.readFile(path.join(dir, 'subject.txt'), 'utf8'),
+        fs.readFile(path.join(dir, 'text.txt'), 'utf8'),
+        fs.readFile(path.join(dir, 'html.html'), 'utf8')
+      ]);
+      templateCache.set(name, { subject: subject.trim(), text, html });
+    }
+    return templateCache.get(name);
+  }
+
+  // Render a template into { subject, text, html }
+  async function render(name, data = {}) {
+    const template = await loadTemplate(name);
+    return {
+      subject: interpolate(template.subject, data, false),
+      text: interpolate(template.text, data, false),
+      html: interpolate(template.html, data, true)
+    };
+  }
+
+  return {
+    transport,
+
+    // Render and deliver a template to one recipient
+    async send(templateName, to, data) {
+      const message = { from, to, ...(await render(templateName, data)) };
+      const info = await transporter.sendMail(message);
+
+      if (transport === 'console') {
+        console.log(`[mail] To: ${to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+      } else if (transport === 'file') {
+        await fs.mkdir(outboxDir, { recursive: true });
+        const file = path.join(outboxDir, `${Date.now()}-${templateName}-${info.messageId.replace(/[^\w.-]/g, '')}.json`);
+        await fs.writeFile(file, info.message);
+        console.log(`[mail] ${templateName} for ${to} written to ${file}`);
+      }
+      return info;
+    },
+
+    render,
+
+    close() {
+      transporter.close();
+    }
+  };
+}
@@ -0,0 +1,195 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Accepted image formats, recognised by their leading bytes rather than the
+// client's Content-Type
+const IMAGE_TYPES = {
+  jpeg: { mimeType: 'image/jpeg', ext: '.jpg' },
+  png: { mimeType: 'image/png', ext: '.png' },
+  webp: { mimeType: 'image/webp', ext: '.webp' }
+};
+export const IMAGE_MIME_TYPES = Object.values(IMAGE_TYPES).map((type) => type.mimeType);
+
+const FILE_NAME_REGEX = /^[a-f0-9]{32}\.(jpg|png|webp)$/;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Text, EXIF and timestamp chunks; none are needed to display the image
+const PNG_METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+// VP8X header flags for the EXIF and XMP chunks
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+// Thrown for files that are not a supported, well-formed image
+export class InvalidImageError extends Error {}
+
+function detectImageType(buf) {
+  if (buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'jpeg';
+  if (buf.length > 8 && buf.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buf.length > 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+}
+
+// JPEG: drop APPn segments (EXIF, XMP, maker notes, thumbnails) and comments
+// before the image data. JFIF, ICC colour profiles and the Adobe segment
+// stay, since decoders rely on them.
+function stripJpeg(buf) {
+  const parts = [buf.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset < buf.length) {
+    if (buf[offset] !== 0xff) throw new InvalidImageError('Corrupt JPEG segment');
+    const marker = buf[offset + 1];
+
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    // Start of scan: the rest is compressed image data
+    if (marker === 0xda) {
+      parts.push(buf.subarray(offset));
+      return Buffer.concat(parts);
+    }
+    if (offset + 4 > buf.length) throw new InvalidImageError('Truncated JPEG');
+
+    const end = offset + 2 + buf.readUInt16BE(offset + 2);
+    if (end > buf.length) throw new InvalidImageError('Truncated JPEG');
+
+    const segment = buf.subarray(offset, end);
+    const label = segment.toString('ascii', 4, 16);
+    const isApp = marker >= 0xe0 && marker <= 0xef;
+    const keep = (!isApp && marker !== 0xfe)
+      || (marker === 0xe0 && label.startsWith('JFIF'))
+      || (marker === 0xe2 && label.startsWith('ICC_PROFILE'))
+      || (marker === 0xee && label.startsWith('Adobe'));
+
+    if (keep) parts.push(segment);
+    offset = end;
+  }
+
+  throw new InvalidImageError('JPEG has no image data');
+}
+
+// PNG: drop text, EXIF and timestamp chunks
+function stripPng(buf) {
+  const parts = [PNG_SIGNATURE];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= buf.length) {
+    const end = offset + 12 + buf.readUInt32BE(offset);
+    if (end > buf.length) throw new InvalidImageError('Truncated PNG');
+
+    const type = buf.toString('ascii', offset + 4, offset + 8);
+    if (!PNG_METADATA_CHUNKS.includes(type)) parts.push(buf.subarray(offset, end));
+    if (type === 'IEND') return Buffer.concat(parts);
+    offset = end;
+  }
+
+  throw new InvalidImageError('PNG has no end chunk');
+}
+
+// WebP: drop the EXIF and XMP chunks, clear their VP8X flags and fix the
+// RIFF size
+function stripWebp(buf) {
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= buf.length) {
+    const size = buf.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);
+    if (offset + 8 + size > buf.length) throw new InvalidImageError('Truncated WebP');
+
+    const type = buf.toString('ascii', offset, offset + 4);
+    if (type === 'VP8X') {
+      const chunk = Buffer.from(buf.subarray(offset, end));
+      chunk[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+      chunks.push(chunk);
+    } else if (type !== 'EXIF' && type !== 'XMP ') {
+      chunks.push(buf.subarray(offset, Math.min(end, buf.length)));
+    }
+    offset = end;
+  }
+
+  if (chunks.length === 0) throw new InvalidImageError('WebP has no image data');
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'ascii');
+  return Buffer.concat([header, body]);
+}
+
+const STRIPPERS = { jpeg: stripJpeg, png: stripPng, webp: stripWebp };
+
+// Chat image storage on local disk. Files get random names, so their URL is
+// only known to the two people in the chat, and are deleted once they are
+// older than `ttlMs`. Every instance must share `dir`.
+export function createImageStore({ dir, ttlMs }) {
+  const root = path.resolve(dir);
+
+  // Validate an upload, strip its metadata and write it to disk
+  async function save(buf) {
+    const kind = detectImageType(buf);
+    if (!kind) throw new InvalidImageError('Unsupported image type');
+
+    const { mimeType, ext } = IMAGE_TYPES[kind];
+    const data = STRIPPERS[kind](buf);
+    const fileName = `${crypto.randomBytes(16).toString('hex')}${ext}`;
+
+    await fs.mkdir(root, { recursive: true });
+    await fs.writeFile(path.join(root, fileName), data);
+    return { fileName, mimeType, size: data.length };
+  }
+
+  // Path of a stored image that has not expired yet, or null
+  async function resolve(fileName) {
+    if (!FILE_NAME_REGEX.test(fileName)) return null;
+
+    const filePath = path.join(root, fileName);
+    try {
+      const { mtimeMs } = await fs.stat(filePath);
+      return Date.now() - mtimeMs < ttlMs ? filePath : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function remove(fileName) {
+    if (!FILE_NAME_REGEX.test(fileName)) return;
+    await fs.rm(path.join(root, fileName), { force: true });
+  }
+
+  // Delete expired images; returns how many were removed
+  async function sweep() {
+    let names;
+    try {
+      names = await fs.readdir(root);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let removed = 0;
+    for (const name of names) {
+      if (!FILE_NAME_REGEX.test(name)) continue;
+      const filePath = path.join(root, name);
+      try {
+        const { mtimeMs } = await fs.stat(filePath);
+        if (Date.now() - mtimeMs >= ttlMs) {
+          await fs.rm(filePath, { force: true });
+          removed++;
+        }
+      } catch (error) {
+        // Another instance may have removed it first
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return removed;
+  }
+
+  return { dir: root, save, resolve, remove, sweep };
+}
@@ -0,0 +1,160 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_RULES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rules.json');
+const ACTIONS = ['block', 'mask', 'flag'];
+const DEFAULT_BLOCK_REASON = 'Your message was not sent because it breaks the chat rules.';
+
+// Common character swaps, undone before word lists are checked. Every entry
+// maps one character to one, so match positions line up with the original.
+const LEET_MAP = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't', '€': 'e'
+};
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "1" is undone as "i", but it also stands in for "l"
+const LETTER_VARIANTS = { l: '[li]' };
+
+// Lowercase and undo leetspeak one character at a time
+function normalize(text) {
+  let result = '';
+  for (const ch of text.split('')) {
+    const lower = ch.toLowerCase();
+    result += LEET_MAP[lower] ?? (lower.length === 1 ? lower : ch);
+  }
+  return result;
+}
+
+// Regex for a listed word or phrase on normalized text. Letters may repeat
+// ("baaad") or be split by punctuation and spaces ("b.a.d"). Word edges are
+// checked separately, on the message as typed; see isWordMatch.
+function wordPattern(word) {
+  const letters = normalize(word).replace(/\s+/g, '').split('');
+  return letters.map((ch) => `${LETTER_VARIANTS[ch] ?? escapeRegex(ch)}+`).join('[\\W_]*');
+}
+
+// Whether a word list match stands on its own rather than inside another
+// word. Decided on the original text, since normalizing turns punctuation
+// like "!" and "@" into letters ("kys!" would otherwise look like "kysi").
+function isWordMatch(original, start, end) {
+  const isWordChar = (ch) => ch !== undefined && /[a-z0-9]/i.test(ch);
+  return !isWordChar(original[start - 1]) && !isWordChar(original[end]);
+}
+
+// Validate one rule from the config file and compile it to a global regex
+function compileRule(rule, index) {
+  const id = rule.id || `rule-${index + 1}`;
+
+  if (!ACTIONS.includes(rule.action)) {
+    throw new Error(`Rule "${id}" needs an action of ${ACTIONS.join(', ')}`);
+  }
+
+  let source;
+  let flags = 'g';
+  // Word lists always match normalized text; regex rules match the message
+  // as typed unless they opt in, so digits in patterns keep working
+  let normalized = true;
+  let wholeWords = false;
+
+  if (Array.isArray(rule.words) && rule.words.length > 0) {
+    source = rule.words.map(wordPattern).join('|');
+    wholeWords = true;
+  } else if (typeof rule.pattern === 'string' && rule.pattern) {
+    source = rule.pattern;
+    flags += (rule.flags ?? 'i').replace(/g/g, '');
+    normalized = rule.normalize === true;
+  } else {
+    throw new Error(`Rule "${id}" needs a non-empty "words" list or a "pattern"`);
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`Rule "${id}" has an invalid pattern: ${error.message}`);
+  }
+
+  return {
+    id,
+    action: rule.action,
+    category: rule.category,
+    reason: rule.reason,
+    normalized,
+    wholeWords,
+    regex
+  };
+}
+
+// Character ranges of every match of a rule in the message
+function findMatches(rule, original, normalizedText) {
+  const text = rule.normalized ? normalizedText : original;
+  const ranges = [];
+  for (const match of text.matchAll(rule.regex)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (end > start && (!rule.wholeWords || isWordMatch(original, start, end))) {
+      ranges.push([start, end]);
+    }
+  }
+  return ranges;
+}
+
+// Replace each range with asterisks of the same length
+function maskRanges(text, ranges) {
+  const chars = text.split('');
+  for (const [start, end] of ranges) {
+    chars.fill('*', start, end);
+  }
+  return chars.join('');
+}
+
+// Content filter for chat messages. Rules come from a JSON file
+// (CONTENT_FILTER_FILE, or rules.json next to this module) shaped like
+// { "rules": [{ "id", "words" | "pattern", "flags", "normalize", "action",
+// "category", "reason" }] }. `check(text)` returns one of:
+// - { action: 'block', reason, ruleId } - don't deliver the message
+// - { action: 'allow', content, flagged } - deliver `content`, with any masks
+//   applied; `flagged` lists the flag rules that matched
+export function createContentFilter(env = process.env) {
+  const file = env.CONTENT_FILTER_FILE ? path.resolve(env.CONTENT_FILTER_FILE) : DEFAULT_RULES_FILE;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read content filter rules from ${file}: ${error.message}`);
+  }
+
+  if (!Array.isArray(config?.rules)) {
+    throw new Error(`${file} must contain a "rules" array`);
+  }
+
+  const rules = config.rules.map(compileRule);
+
+  function check(text) {
+    const normalizedText = normalize(text);
+    const maskedRanges = [];
+    const flagged = [];
+
+    for (const rule of rules) {
+      const ranges = findMatches(rule, text, normalizedText);
+      if (ranges.length === 0) continue;
+
+      if (rule.action === 'block') {
+        return { action: 'block', reason: rule.reason || DEFAULT_BLOCK_REASON, ruleId: rule.id };
+      }
+      if (rule.action === 'mask') {
+        maskedRanges.push(...ranges);
+      } else {
+        flagged.push({ ruleId: rule.id, category: rule.category });
+      }
+    }
+
+    return { action: 'allow', content: maskRanges(text, maskedRanges), flagged };
+  }
+
+  return { file, ruleCount: rules.length, check };
+}
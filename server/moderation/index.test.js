@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContentFilter } from './index.js';
+
+// Uses the rules.json shipped next to the module
+const filter = createContentFilter({});
+
+test('blocks listed phrases next to punctuation', () => {
+  for (const text of ['kys!', 'kys.', '@kys', '(kys)', '"kys"', 'go die!', '!go die', 'kill yourself!!', '...kill yourself']) {
+    assert.equal(filter.check(text).action, 'block', text);
+  }
+});
+
+test('flags listed phrases next to punctuation', () => {
+  for (const text of ['send nudes!', '$nudes', 'nudes?!']) {
+    const result = filter.check(text);
+    assert.equal(result.action, 'allow', text);
+    assert.deepEqual(result.flagged.map((flag) => flag.ruleId), ['sexual-solicitation'], text);
+  }
+});
+
+test('undoes leetspeak inside words', () => {
+  assert.equal(filter.check('k!ll yourself').action, 'block');
+  assert.equal(filter.check('go d1e').action, 'block');
+  assert.equal(filter.check('nude$').flagged.length, 1);
+});
+
+test('does not match inside other words', () => {
+  for (const text of ['sky', 'skys', 'kysa', 'kys1', 'I forgot to die-t']) {
+    const result = filter.check(text);
+    assert.equal(result.action, 'allow', text);
+    assert.deepEqual(result.flagged, [], text);
+  }
+});
+
+test('masks phone numbers and keeps the rest of the message', () => {
+  assert.deepEqual(filter.check('call 09171234567 ok'), {
+    action: 'allow',
+    content: 'call *********** ok',
+    flagged: []
+  });
+});
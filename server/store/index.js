@@ -0,0 +1,30 @@
+import { Redis } from 'ioredis';
+import { createAdapter } from '@socket.io/redis-streams-adapter';
+import { createMemoryStore } from './memoryStore.js';
+import { createRedisStore } from './redisStore.js';
+
+// Pick the shared state backend. Without a Redis URL everything stays in this
+// process and socket.io keeps its default in-memory adapter. With one, the
+// streams adapter relays events between instances; unlike the pub/sub adapter
+// it supports connection state recovery. Needs Redis 5+ (or Valkey).
+export async function createStore(redisUrl) {
+  if (!redisUrl) {
+    return { store: createMemoryStore(), adapter: null };
+  }
+
+  const redis = new Redis(redisUrl, { lazyConnect: true });
+  redis.on('error', (err) => console.error('Redis error:', err.message));
+  await redis.connect();
+
+  const store = createRedisStore(redis);
+  return {
+    store: {
+      ...store,
+      async close() {
+        await redis.quit();
+      }
+    },
+    // Opens its own connections for blocking stream reads and pub/sub
+    adapter: createAdapter(redis)
+  };
+}
@@ -0,0 +1,150 @@
+// In-process store for matchmaking state. Used when REDIS_URL is not set;
+// only suitable for a single server instance.
+export function createMemoryStore() {
+  const queue = new Map(); // socketId -> queue entry
+  const chats = new Map(); // userId -> { partnerId, roomId, startedAt, sharedTags, displayName, email }
+  const reconnecting = new Map(); // userId -> grace period deadline (ms)
+  const recentMatches = new Map(); // userId -> Map<partnerUserId, matchedAt>
+  const rateLimits = new Map(); // key -> { count, windowStart, windowMs }
+  const offers = new Map(); // key -> { value, expiresAt }
+  const lobbies = new Map(); // lobbyId -> Set<userId>
+  let lockChain = Promise.resolve();
+
+  // Forget expired rate limit windows, recent matches and offers
+  const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, limit] of rateLimits.entries()) {
+      if (now - limit.windowStart > limit.windowMs) rateLimits.delete(key);
+    }
+    for (const [userId, partners] of recentMatches.entries()) {
+      for (const [partnerId, expiresAt] of partners.entries()) {
+        if (expiresAt <= now) partners.delete(partnerId);
+      }
+      if (partners.size === 0) recentMatches.delete(userId);
+    }
+    for (const [key, offer] of offers.entries()) {
+      if (offer.expiresAt <= now) offers.delete(key);
+    }
+  }, 60000); // Every minute
+  cleanupTimer.unref();
+
+  return {
+    // Run fn with exclusive access to the queue. Not re-entrant.
+    async withLock(fn) {
+      const run = lockChain.then(fn);
+      lockChain = run.catch(() => {});
+      return run;
+    },
+
+    // Matchmaking queue, oldest first
+    async addToQueue(entry) {
+      queue.set(entry.socketId, entry);
+    },
+    async removeFromQueue(socketId) {
+      return queue.delete(socketId);
+    },
+    async getQueue() {
+      return [...queue.values()].sort((a, b) => a.searchingSince - b.searchingSince);
+    },
+
+    // Active chats, one entry per member
+    async getChat(userId) {
+      return chats.get(userId) ?? null;
+    },
+    async setChat(userId, chat) {
+      chats.set(userId, chat);
+    },
+    async deleteChat(userId) {
+      chats.delete(userId);
+    },
+    async listChats() {
+      return [...chats.entries()].map(([userId, chat]) => ({ userId, ...chat }));
+    },
+
+    // Reconnect grace periods
+    async setReconnecting(userId, deadline) {
+      reconnecting.set(userId, deadline);
+    },
+    async getReconnecting(userId) {
+      return reconnecting.get(userId) ?? null;
+    },
+    // Returns true only for the caller that actually cleared it
+    async clearReconnecting(userId) {
+      return reconnecting.delete(userId);
+    },
+    async listExpiredReconnects(now) {
+      return [...reconnecting.entries()]
+        .filter(([, deadline]) => deadline <= now)
+        .map(([userId]) => userId);
+    },
+
+    // Pairs that shouldn't be matched again for a while
+    async rememberMatch(userIdA, userIdB, ttlMs) {
+      const expiresAt = Date.now() + ttlMs;
+      for (const [a, b] of [[userIdA, userIdB], [userIdB, userIdA]]) {
+        if (!recentMatches.has(a)) recentMatches.set(a, new Map());
+        recentMatches.get(a).set(b, expiresAt);
+      }
+    },
+    async getRecentMatches(userId) {
+      const now = Date.now();
+      const partners = recentMatches.get(userId) ?? new Map();
+      return [...partners.entries()]
+        .filter(([, expiresAt]) => expiresAt > now)
+        .map(([partnerId]) => partnerId);
+    },
+
+    // Fixed-window counter; returns false once `max` hits are used up
+    async hitRateLimit(key, max, windowMs) {
+      const now = Date.now();
+      const limit = rateLimits.get(key);
+
+      if (!limit || now - limit.windowStart > windowMs) {
+        rateLimits.set(key, { count: 1, windowStart: now, windowMs });
+        return true;
+      }
+
+      if (limit.count >= max) {
+        return false;
+      }
+
+      limit.count++;
+      return true;
+    },
+
+    // Offers waiting for the other user's consent, e.g. a transcript request.
+    // takeOffer reads and deletes in one step, so only one caller gets it.
+    async setOffer(key, value, ttlMs) {
+      offers.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async getOffer(key) {
+      const offer = offers.get(key);
+      return offer && offer.expiresAt > Date.now() ? offer.value : null;
+    },
+    async takeOffer(key) {
+      const offer = offers.get(key);
+      offers.delete(key);
+      return offer && offer.expiresAt > Date.now() ? offer.value : null;
+    },
+    async deleteOffer(key) {
+      offers.delete(key);
+    },
+
+    // Topic lobby members. Callers check capacity under withLock.
+    async addLobbyMember(lobbyId, userId) {
+      if (!lobbies.has(lobbyId)) lobbies.set(lobbyId, new Set());
+      lobbies.get(lobbyId).add(userId);
+    },
+    // Returns true only for the caller that actually removed the member
+    async removeLobbyMember(lobbyId, userId) {
+      return lobbies.get(lobbyId)?.delete(userId) ?? false;
+    },
+    async listLobbyMembers(lobbyId) {
+      return [...(lobbies.get(lobbyId) ?? [])];
+    },
+
+    async close() {
+      clearInterval(cleanupTimer);
+    }
+  };
+}
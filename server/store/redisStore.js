@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+
+const PREFIX = 'uschika:';
+const QUEUE_KEY = `${PREFIX}queue`; // hash: socketId -> queue entry JSON
+const CHATS_KEY = `${PREFIX}chats`; // hash: userId -> chat JSON
+const RECONNECTING_KEY = `${PREFIX}reconnecting`; // sorted set: userId scored by deadline
+const LOCK_KEY = `${PREFIX}lock:matchmaking`;
+const LOCK_TTL_MS = 10 * 1000; // Released early; the TTL only guards against a crashed holder
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 5 * 1000;
+
+// Delete the lock only if we still hold it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+const recentKey = (userId) => `${PREFIX}recent:${userId}`;
+const rateLimitKey = (key) => `${PREFIX}ratelimit:${key}`;
+const offerKey = (key) => `${PREFIX}offer:${key}`;
+const lobbyKey = (lobbyId) => `${PREFIX}lobby:${lobbyId}`; // set of userIds
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Store shared by every server instance through Redis (or any server that
+// speaks the Redis protocol, e.g. Valkey). Same interface as createMemoryStore.
+export function createRedisStore(redis) {
+  return {
+    // Run fn while holding a cluster-wide lock on the queue. Not re-entrant.
+    async withLock(fn) {
+      const token = crypto.randomUUID();
+      const giveUpAt = Date.now() + LOCK_TIMEOUT_MS;
+
+      while (await redis.set(LOCK_KEY, token, 'PX', LOCK_TTL_MS, 'NX') !== 'OK') {
+        if (Date.now() > giveUpAt) {
+          throw new Error('Timed out waiting for the matchmaking lock');
+        }
+        await sleep(LOCK_RETRY_MS);
+      }
+
+      try {
+        return await fn();
+      } finally {
+        await redis.eval(RELEASE_LOCK_SCRIPT, 1, LOCK_KEY, token);
+      }
+    },
+
+    // Matchmaking queue, oldest first
+    async addToQueue(entry) {
+      await redis.hset(QUEUE_KEY, entry.socketId, JSON.stringify(entry));
+    },
+    async removeFromQueue(socketId) {
+      return (await redis.hdel(QUEUE_KEY, socketId)) > 0;
+    },
+    async getQueue() {
+      const entries = (await redis.hvals(QUEUE_KEY)).map((value) => JSON.parse(value));
+      return entries.sort((a, b) => a.searchingSince - b.searchingSince);
+    },
+
+    // Active chats, one entry per member
+    async getChat(userId) {
+      const value = await redis.hget(CHATS_KEY, userId);
+      return value ? JSON.parse(value) : null;
+    },
+    async setChat(userId, chat) {
+      await redis.hset(CHATS_KEY, userId, JSON.stringify(chat));
+    },
+    async deleteChat(userId) {
+      await redis.hdel(CHATS_KEY, userId);
+    },
+    async listChats() {
+      const chats = await redis.hgetall(CHATS_KEY);
+      return Object.entries(chats).map(([userId, value]) => ({ userId, ...JSON.parse(value) }));
+    },
+
+    // Reconnect grace periods
+    async setReconnecting(userId, deadline) {
+      await redis.zadd(RECONNECTING_KEY, deadline, userId);
+    },
+    async getReconnecting(userId) {
+      const deadline = await redis.zscore(RECONNECTING_KEY, userId);
+      return deadline === null ? null : Number(deadline);
+    },
+    // Returns true only for the caller that actually cleared it
+    async clearReconnecting(userId) {
+      return (await redis.zrem(RECONNECTING_KEY, userId)) > 0;
+    },
+    async listExpiredReconnects(now) {
+      return redis.zrangebyscore(RECONNECTING_KEY, 0, now);
+    },
+
+    // Pairs that shouldn't be matched again for a while. Scored by expiry;
+    // the key itself expires once the newest match has run out.
+    async rememberMatch(userIdA, userIdB, ttlMs) {
+      const expiresAt = Date.now() + ttlMs;
+      await redis.multi()
+        .zadd(recentKey(userIdA), expiresAt, userIdB)
+        .pexpire(recentKey(userIdA), ttlMs)
+        .zadd(recentKey(userIdB), expiresAt, userIdA)
+        .pexpire(recentKey(userIdB), ttlMs)
+        .exec();
+    },
+    async getRecentMatches(userId) {
+      return redis.zrangebyscore(recentKey(userId), Date.now() + 1, '+inf');
+    },
+
+    // Fixed-window counter; returns false once `max` hits are used up. The
+    // window starts with the SET NX, so this runs on Redis before 7 too.
+    async hitRateLimit(key, max, windowMs) {
+      const [, [, count]] = await redis.multi()
+        .set(rateLimitKey(key), 0, 'PX', windowMs, 'NX')
+        .incr(rateLimitKey(key))
+        .exec();
+      return count <= max;
+    },
+
+    // Offers waiting for the other user's consent, e.g. a transcript request.
+    // takeOffer reads and deletes in one step, so only one caller gets it.
+    async setOffer(key, value, ttlMs) {
+      await redis.set(offerKey(key), JSON.stringify(value), 'PX', ttlMs);
+    },
+    async getOffer(key) {
+      const value = await redis.get(offerKey(key));
+      return value ? JSON.parse(value) : null;
+    },
+    async takeOffer(key) {
+      const [[, value]] = await redis.multi()
+        .get(offerKey(key))
+        .del(offerKey(key))
+        .exec();
+      return value ? JSON.parse(value) : null;
+    },
+    async deleteOffer(key) {
+      await redis.del(offerKey(key));
+    },
+
+    // Topic lobby members. Callers check capacity under withLock.
+    async addLobbyMember(lobbyId, userId) {
+      await redis.sadd(lobbyKey(lobbyId), userId);
+    },
+    // Returns true only for the caller that actually removed the member
+    async removeLobbyMember(lobbyId, userId) {
+      return (await redis.srem(lobbyKey(lobbyId), userId)) > 0;
+    },
+    async listLobbyMembers(lobbyId) {
+      return redis.smembers(lobbyKey(lobbyId));
+    },
+
+    async close() {}
+  };
+}